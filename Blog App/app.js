@@ -1,4 +1,22 @@
 const API_URL = 'https://jsonplaceholder.typicode.com';
+const PAGE_SIZE = 12;
+const CACHE_KEY = 'sb.cache';
+const BACKEND_KEY = 'sb.backend';
+const DEFAULT_BACKEND_ID = 'jsonplaceholder';
+
+// json-server style defaults; every key can be overridden from the data source settings.
+const DEFAULT_REST_CONFIG = {
+    baseUrl: 'http://localhost:3000',
+    listKey: '',
+    paths: {
+        users: '/users',
+        posts: '/posts',
+        post: '/posts/:id',
+        comments: '/posts/:id/comments'
+    },
+    params: { page: '_page', limit: '_limit', userId: 'userId' },
+    fields: { post: {}, user: {}, comment: {} }
+};
 
 const els = {
     posts: document.getElementById('posts'),
@@ -6,22 +24,281 @@ const els = {
     error: document.getElementById('error'),
     errorMsg: document.getElementById('errorMsg'),
     retryBtn: document.getElementById('retryBtn'),
+    cacheBanner: document.getElementById('cacheBanner'),
+    cacheBannerMsg: document.getElementById('cacheBannerMsg'),
+    cacheRetryBtn: document.getElementById('cacheRetryBtn'),
     refreshBtn: document.getElementById('refreshBtn'),
     loadingText: document.getElementById('loadingText'),
     form: document.getElementById('postForm'),
     title: document.getElementById('title'),
     body: document.getElementById('body'),
+    preview: document.getElementById('preview'),
     author: document.getElementById('author'),
     search: document.getElementById('search'),
-    tmpl: document.getElementById('postCardTmpl')
+    matchCount: document.getElementById('matchCount'),
+    authorFilter: document.getElementById('authorFilter'),
+    authorPanel: document.getElementById('authorPanel'),
+    authorPanelTitle: document.getElementById('authorPanelTitle'),
+    authorPanelList: document.getElementById('authorPanelList'),
+    authorPanelNote: document.getElementById('authorPanelNote'),
+    publish: document.getElementById('publishToggle'),
+    tmpl: document.getElementById('postCardTmpl'),
+    editTmpl: document.getElementById('editFormTmpl'),
+    loadMoreBtn: document.getElementById('loadMoreBtn'),
+    endText: document.getElementById('endText'),
+    listView: document.getElementById('listView'),
+    postView: document.getElementById('postView'),
+    detailError: document.getElementById('detailError'),
+    detailErrorMsg: document.getElementById('detailErrorMsg'),
+    detailTitle: document.getElementById('detailTitle'),
+    detailAuthor: document.getElementById('detailAuthor'),
+    detailSource: document.getElementById('detailSource'),
+    detailBody: document.getElementById('detailBody'),
+    profile: document.getElementById('profile'),
+    profileList: document.getElementById('profileList'),
+    comments: document.getElementById('comments'),
+    commentCount: document.getElementById('commentCount'),
+    commentsLoading: document.getElementById('commentsLoading'),
+    commentForm: document.getElementById('commentForm'),
+    commentName: document.getElementById('commentName'),
+    commentBody: document.getElementById('commentBody'),
+    commentTmpl: document.getElementById('commentTmpl'),
+    settingsBtn: document.getElementById('settingsBtn'),
+    settingsPanel: document.getElementById('settingsPanel'),
+    settingsForm: document.getElementById('settingsForm'),
+    settingsMsg: document.getElementById('settingsMsg'),
+    backendType: document.getElementById('backendType'),
+    restFields: document.getElementById('restFields'),
+    restBaseUrl: document.getElementById('restBaseUrl'),
+    restConfig: document.getElementById('restConfig'),
+    includeApi: document.getElementById('includeApi'),
+    exportJsonBtn: document.getElementById('exportJsonBtn'),
+    exportMdBtn: document.getElementById('exportMdBtn'),
+    exportRssBtn: document.getElementById('exportRssBtn'),
+    exportAtomBtn: document.getElementById('exportAtomBtn'),
+    importFile: document.getElementById('importFile'),
+    transferMsg: document.getElementById('transferMsg')
 };
 
 let state = {
     posts: [],         // fetched posts
     localPosts: [],    // client-side posts
-    usersById: {}      // for author names
+    usersById: {},     // for author names
+    localComments: {}, // client-side comments keyed by post id
+    pendingDeletes: [], // published local posts whose DELETE has not gone through yet
+    page: 0,           // last API page appended to posts
+    hasMore: true,     // false once the API returns an empty page
+    loadingMore: false,
+    author: ''         // '' | 'user:<id>' | 'local:<name>'
 };
 
+let loadToken = 0; // bumped by loadData so stale page responses are dropped
+const cards = new Map(); // "<source>:<id>" -> { el, post, source, sig }
+let authorOptionsSig = '';
+let apiAuthorCounts = null; // userId -> posts in the unfiltered feed so far; kept while filtering by a user
+const syncChains = new Map(); // post id -> promise, so one post's mutations reach the API in order
+const deletesInFlight = new Set(); // "<backend>:<post id>" while its DELETE request has not settled
+
+let currentPostId = null; // post shown in the detail view, null on the list
+let listScrollY = 0;
+const baseTitle = document.title;
+
+// ---- Data sources ----
+// Each adapter exposes the same async methods; the rest of the app only talks to `api`.
+
+function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((target, key) => target[key] ??= {}, obj)[last] = value;
+}
+
+// mapping is { appField: 'remote.field' }; unmapped fields pass through unchanged.
+function fromRemote(obj, mapping = {}) {
+    const out = { ...obj };
+    Object.entries(mapping).forEach(([local, remote]) => out[local] = getPath(obj, remote));
+    return out;
+}
+
+function toRemote(obj, mapping = {}) {
+    const out = {};
+    Object.entries(obj).forEach(([local, value]) => setPath(out, mapping[local] || local, value));
+    return out;
+}
+
+async function requestJSON(url, { method = 'GET', body, label = 'Request' } = {}) {
+    const init = { method };
+    if (body !== undefined) {
+        init.headers = { 'Content-Type': 'application/json; charset=UTF-8' };
+        init.body = JSON.stringify(body);
+    }
+    const res = await fetch(url, init);
+    if (!res.ok) {
+        const err = new Error(`${label} HTTP ${res.status}`);
+        err.status = res.status;
+        throw err;
+    }
+    if (method === 'DELETE' || res.status === 204) return null;
+    return await res.json();
+}
+
+function createRestAdapter(config = {}) {
+    const cfg = {
+        ...DEFAULT_REST_CONFIG,
+        ...config,
+        paths: { ...DEFAULT_REST_CONFIG.paths, ...config.paths },
+        params: { ...DEFAULT_REST_CONFIG.params, ...config.params },
+        fields: { ...DEFAULT_REST_CONFIG.fields, ...config.fields }
+    };
+    const base = cfg.baseUrl.replace(/\/+$/, '');
+    const url = (name, id) => base + cfg.paths[name].replace(':id', encodeURIComponent(id));
+    const list = (data) => (cfg.listKey ? getPath(data, cfg.listKey) : data) || [];
+
+    return {
+        id: `rest:${base}`,
+        label: base,
+        async listUsers() {
+            const users = list(await requestJSON(url('users'), { label: 'Users' }));
+            return users.map(u => fromRemote(u, cfg.fields.user));
+        },
+        async listPosts({ page = 1, limit = PAGE_SIZE, userId = null } = {}) {
+            const params = new URLSearchParams();
+            if (cfg.params.page) params.set(cfg.params.page, page);
+            if (cfg.params.limit) params.set(cfg.params.limit, limit);
+            if (userId !== null && cfg.params.userId) params.set(cfg.params.userId, userId);
+            const query = params.toString();
+            const posts = list(await requestJSON(url('posts') + (query ? `?${query}` : ''), { label: 'Posts' }));
+            return posts.map(p => fromRemote(p, cfg.fields.post));
+        },
+        async getPost(id) {
+            try {
+                return fromRemote(await requestJSON(url('post', id), { label: 'Post' }), cfg.fields.post);
+            } catch (err) {
+                if (err.status === 404) throw new Error(`Post #${id} does not exist.`);
+                throw err;
+            }
+        },
+        async listComments(postId) {
+            const comments = list(await requestJSON(url('comments', postId), { label: 'Comments' }));
+            return comments.map(c => fromRemote(c, cfg.fields.comment));
+        },
+        async createPost(data) {
+            const body = toRemote(data, cfg.fields.post);
+            return fromRemote(await requestJSON(url('posts'), { method: 'POST', body, label: 'POST post' }), cfg.fields.post);
+        },
+        async replacePost(id, data) {
+            const body = toRemote({ id, ...data }, cfg.fields.post);
+            return await requestJSON(url('post', id), { method: 'PUT', body, label: 'PUT post' });
+        },
+        async patchPost(id, fields) {
+            const body = toRemote(fields, cfg.fields.post);
+            return await requestJSON(url('post', id), { method: 'PATCH', body, label: 'PATCH post' });
+        },
+        async deletePost(id) {
+            await requestJSON(url('post', id), { method: 'DELETE', label: 'DELETE post' });
+        }
+    };
+}
+
+function createJsonPlaceholderAdapter() {
+    return { ...createRestAdapter({ baseUrl: API_URL }), id: DEFAULT_BACKEND_ID, label: 'JSONPlaceholder' };
+}
+
+function demoData() {
+    const users = [
+        { id: 1, name: 'Ada Lovelace', username: 'ada', email: 'ada@example.com', website: 'example.com', company: { name: 'Analytical Engines', catchPhrase: 'Poetical science' } },
+        { id: 2, name: 'Grace Hopper', username: 'grace', email: 'grace@example.com', website: 'example.org', company: { name: 'Compilers Inc.', catchPhrase: 'It’s easier to ask forgiveness' } },
+        { id: 3, name: 'Alan Turing', username: 'alan', email: 'alan@example.com', website: 'example.net', company: { name: 'Bombe Works', catchPhrase: 'Can machines think?' } }
+    ];
+    const posts = Array.from({ length: 30 }, (_, i) => ({
+        id: i + 1,
+        userId: (i % users.length) + 1,
+        title: `Demo post ${i + 1}`,
+        body: `This post comes from the in-memory data source.\nIt is number ${i + 1} of 30.`
+    }));
+    const comments = posts.map(p => ({
+        id: p.id,
+        postId: p.id,
+        name: 'Demo reader',
+        email: 'reader@example.com',
+        body: `First! (comment on post ${p.id})`
+    }));
+    return { users, posts, comments };
+}
+
+// Keeps everything in this tab; handy for tests, demos and working offline.
+function createMemoryAdapter(seed = demoData()) {
+    const db = structuredClone(seed);
+    let nextId = Math.max(0, ...db.posts.map(p => p.id)) + 1;
+    const find = (id) => {
+        const post = db.posts.find(p => p.id === Number(id));
+        if (!post) throw new Error(`Post #${id} does not exist.`);
+        return post;
+    };
+
+    return {
+        id: 'memory',
+        label: 'In-memory demo data',
+        async listUsers() {
+            return structuredClone(db.users);
+        },
+        async listPosts({ page = 1, limit = PAGE_SIZE, userId = null } = {}) {
+            const posts = db.posts.filter(p => userId === null || p.userId === userId);
+            return structuredClone(posts.slice((page - 1) * limit, page * limit));
+        },
+        async getPost(id) {
+            return structuredClone(find(id));
+        },
+        async listComments(postId) {
+            return structuredClone(db.comments.filter(c => c.postId === Number(postId)));
+        },
+        async createPost(data) {
+            const post = { ...data, id: nextId++ };
+            db.posts.push(post);
+            return structuredClone(post);
+        },
+        async replacePost(id, data) {
+            const post = find(id);
+            Object.keys(post).forEach(k => k !== 'id' && delete post[k]);
+            return structuredClone(Object.assign(post, data, { id: post.id }));
+        },
+        async patchPost(id, fields) {
+            return structuredClone(Object.assign(find(id), fields));
+        },
+        async deletePost(id) {
+            find(id);
+            db.posts = db.posts.filter(p => p.id !== Number(id));
+        }
+    };
+}
+
+// Saved settings, overridable per visit with ?backend=jsonplaceholder|rest|memory (and ?api=<baseUrl>).
+function readBackendSettings() {
+    let settings = { type: 'jsonplaceholder', rest: {} };
+    try {
+        settings = { ...settings, ...JSON.parse(localStorage.getItem(BACKEND_KEY)) };
+    } catch (e) {
+        // keep defaults
+    }
+    const params = new URLSearchParams(location.search);
+    const type = params.get('backend');
+    if (['jsonplaceholder', 'rest', 'memory'].includes(type)) settings.type = type;
+    if (params.get('api')) settings.rest = { ...settings.rest, baseUrl: params.get('api') };
+    return settings;
+}
+
+function createAdapter(settings) {
+    if (settings.type === 'memory') return createMemoryAdapter();
+    if (settings.type === 'rest') return createRestAdapter(settings.rest);
+    return createJsonPlaceholderAdapter();
+}
+
+let backendSettings = readBackendSettings();
+let api = createAdapter(backendSettings);
+
 function setStatus(text) {
     els.status.textContent = text || '';
 }
@@ -36,12 +313,9 @@ function hideError() {
     els.errorMsg.textContent = '';
 }
 
-function clearPosts() {
-    els.posts.innerHTML = '';
-}
-
+// Skeletons always go after the cards, so loading never disturbs what is already shown.
 function createSkeletons(count = 6) {
-    clearPosts();
+    removeSkeletons();
     for (let i = 0; i < count; i++) {
         const div = document.createElement('div');
         div.className = 'card skeleton';
@@ -52,6 +326,10 @@ function createSkeletons(count = 6) {
     els.loadingText.classList.remove('hidden');
 }
 
+function removeSkeletons() {
+    els.posts.querySelectorAll('.card.skeleton').forEach(el => el.remove());
+}
+
 function endLoading() {
     els.posts.setAttribute('aria-busy', 'false');
     els.loadingText.classList.add('hidden');
@@ -65,6 +343,10 @@ function saveLocal() {
     localStorage.setItem('sb.localPosts', JSON.stringify(state.localPosts));
 }
 
+function saveLocalComments() {
+    localStorage.setItem('sb.localComments', JSON.stringify(state.localComments));
+}
+
 function loadLocal() {
     try {
         const raw = localStorage.getItem('sb.localPosts');
@@ -72,85 +354,788 @@ function loadLocal() {
     } catch (e) {
         state.localPosts = [];
     }
+    state.localPosts.forEach(p => {
+        if (!p.sync) return;
+        // A sync still pending when the page closed never finished: let Refresh retry it.
+        if (p.sync.status === 'pending') p.sync.status = 'failed';
+        // Remote ids saved without their backend belong to the default one.
+        if (p.sync.remoteId != null) {
+            p.sync.remoteIds = { [DEFAULT_BACKEND_ID]: p.sync.remoteId, ...p.sync.remoteIds };
+            delete p.sync.remoteId;
+        }
+        p.sync.backend ??= DEFAULT_BACKEND_ID;
+    });
+    try {
+        const raw = localStorage.getItem('sb.localComments');
+        state.localComments = raw ? JSON.parse(raw) : {};
+    } catch (e) {
+        state.localComments = {};
+    }
+    try {
+        const raw = localStorage.getItem('sb.pendingDeletes');
+        state.pendingDeletes = (raw ? JSON.parse(raw) : []).map(d => ({ backend: DEFAULT_BACKEND_ID, ...d }));
+    } catch (e) {
+        state.pendingDeletes = [];
+    }
+    els.publish.checked = localStorage.getItem('sb.publish') === '1';
 }
 
-function renderOne(post, { source = 'api' } = {}) {
-    const frag = els.tmpl.content.cloneNode(true);
-    const article = frag.querySelector('.card');
-    const titleEl = frag.querySelector('.card-title');
-    const bodyEl = frag.querySelector('.card-body');
-    const authorEl = frag.querySelector('.author');
-    const sourceEl = frag.querySelector('.badge.source');
-    const rmBtn = frag.querySelector('.remove-btn');
+// Last good users + first page, so the feed can paint before (or without) the network.
+function readCache() {
+    try {
+        const cache = JSON.parse(localStorage.getItem(CACHE_KEY));
+        const valid = cache && Array.isArray(cache.posts) && Array.isArray(cache.users);
+        return valid && cache.backend === api.id ? cache : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeCache(posts) {
+    const cache = { savedAt: Date.now(), backend: api.id, users: Object.values(state.usersById), posts };
+    try {
+        localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    } catch (e) {
+        console.warn('Could not cache posts:', e);
+    }
+}
+
+function hydrateFromCache() {
+    const cache = readCache();
+    if (!cache) return false;
+    const map = {};
+    cache.users.forEach(u => map[u.id] = u);
+    state.usersById = map;
+    state.posts = [];
+    appendUnique(cache.posts);
+    state.page = 1;
+    state.hasMore = cache.posts.length > 0;
+    render();
+    updatePager();
+    return true;
+}
 
-    text(titleEl, post.title);
-    text(bodyEl, post.body);
+function showCacheBanner(savedAt) {
+    text(els.cacheBannerMsg, `Showing cached data from ${new Date(savedAt).toLocaleString()}.`);
+    els.cacheBanner.classList.remove('hidden');
+}
+
+function hideCacheBanner() {
+    els.cacheBanner.classList.add('hidden');
+}
+
+function savePendingDeletes() {
+    localStorage.setItem('sb.pendingDeletes', JSON.stringify(state.pendingDeletes));
+}
+
+function isPublishing() {
+    return els.publish.checked;
+}
+
+function paintSource(sourceEl, post, source) {
+    const status = source === 'local' ? post.sync?.status : null;
+    sourceEl.classList.toggle('local', source === 'local');
+    ['pending', 'synced', 'failed'].forEach(s => sourceEl.classList.toggle(`sync-${s}`, status === s));
+    let label = source === 'local' ? 'client-side' : 'api';
+    if (status) label += ` · ${status}`;
+    text(sourceEl, label);
+    sourceEl.title = status === 'failed' ? `Sync failed: ${post.sync.error || 'unknown error'}. Refresh to retry.` : '';
+}
 
-    let authorName = 'Anonymous';
+function setSync(post, fields) {
+    post.sync = { ...post.sync, ...fields };
+    saveLocal();
+    render();
+}
+
+// Runs one API mutation for a local post after any earlier ones have settled,
+// against the backend that was active when it was queued.
+function queueSync(post, task) {
+    const target = api;
+    const prev = syncChains.get(post.id) || Promise.resolve();
+    setSync(post, { status: 'pending', error: '', backend: target.id });
+    const next = prev.then(async () => {
+        try {
+            await task(target);
+            setSync(post, { status: 'synced', error: '' });
+        } catch (err) {
+            console.error(err);
+            setSync(post, { status: 'failed', error: err.message || 'Unknown error' });
+        }
+    });
+    syncChains.set(post.id, next);
+    return next;
+}
+
+function postPayload(post) {
+    return { title: post.title, body: post.body, author: post.author || '' };
+}
+
+// Remote ids are per backend: the same id on another backend is an unrelated post.
+function remoteIdOn(post, backend = api) {
+    return post.sync?.remoteIds?.[backend.id] ?? null;
+}
+
+function setRemoteId(post, backend, id) {
+    post.sync.remoteIds = { ...post.sync.remoteIds, [backend.id]: id };
+}
+
+// Creates the remote copy first if it does not exist yet, so edits never target a missing id.
+function publishCreate(post) {
+    return queueSync(post, async (target) => {
+        if (remoteIdOn(post, target) != null) return;
+        const created = await target.createPost(postPayload(post));
+        setRemoteId(post, target, created.id);
+    });
+}
+
+function publishUpdate(post, changed) {
+    return queueSync(post, async (target) => {
+        const remoteId = remoteIdOn(post, target);
+        if (remoteId == null) {
+            const created = await target.createPost(postPayload(post));
+            setRemoteId(post, target, created.id);
+        } else if (changed) {
+            await target.patchPost(remoteId, changed);
+        } else {
+            await target.replacePost(remoteId, postPayload(post));
+        }
+    });
+}
+
+// Only the active backend can be reached; other backends' deletes wait until it is picked again.
+async function publishDelete(entry) {
+    const key = `${entry.backend}:${entry.id}`;
+    if (entry.backend !== api.id || deletesInFlight.has(key)) return;
+    deletesInFlight.add(key);
+    try {
+        await api.deletePost(entry.remoteId);
+        state.pendingDeletes = state.pendingDeletes.filter(d => d !== entry);
+        savePendingDeletes();
+        setStatus('Deleted a published post from the API.');
+    } catch (err) {
+        console.error(err);
+        setStatus(`Couldn’t delete post from the API (${err.message}). Refresh to retry.`);
+    } finally {
+        deletesInFlight.delete(key);
+    }
+}
+
+// Refresh replays failed mutations in full: PUT for edits, POST when never created.
+function retryFailedSyncs() {
+    if (!isPublishing()) return;
+    state.localPosts
+        .filter(p => p.sync?.status === 'failed' && p.sync.backend === api.id)
+        .forEach(p => publishUpdate(p));
+    state.pendingDeletes.forEach(entry => publishDelete(entry));
+}
+
+function removeLocalPost(post) {
+    const idx = state.localPosts.findIndex(p => p.id === post.id);
+    if (idx !== -1) { state.localPosts.splice(idx, 1); saveLocal(); }
+    delete state.localComments[post.id];
+    saveLocalComments();
+    render();
+
+    if (post.sync) {
+        // Wait for an in-flight create so the remote id is known before deleting.
+        const chain = syncChains.get(post.id) || Promise.resolve();
+        syncChains.delete(post.id);
+        chain.then(() => {
+            const entries = Object.entries(post.sync.remoteIds || {})
+                .map(([backend, remoteId]) => ({ id: post.id, remoteId, backend }));
+            if (!entries.length) return;
+            state.pendingDeletes.push(...entries);
+            savePendingDeletes();
+            entries.forEach(publishDelete);
+        });
+    }
+    setStatus('Removed a client-side post.');
+}
+
+function startEdit(article, post) {
+    if (article.querySelector('.edit-form')) return;
+    const frag = els.editTmpl.content.cloneNode(true);
+    const form = frag.querySelector('.edit-form');
+    const titleInput = form.querySelector('.edit-title');
+    const bodyInput = form.querySelector('.edit-body');
+
+    titleInput.value = post.title;
+    bodyInput.value = post.body;
+    article.classList.add('editing');
+    article.appendChild(frag);
+    titleInput.focus();
+
+    const close = () => {
+        form.remove();
+        article.classList.remove('editing');
+        article.querySelector('.edit-btn').focus();
+    };
+
+    form.querySelector('.cancel-btn').addEventListener('click', close);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const title = titleInput.value.trim();
+        const body = bodyInput.value.trim();
+        if (!title || !body) {
+            setStatus('Title and body cannot be empty.');
+            (title ? bodyInput : titleInput).focus();
+            return;
+        }
+
+        const changed = {};
+        if (title !== post.title) changed.title = title;
+        if (body !== post.body) changed.body = body;
+        close();
+        if (!Object.keys(changed).length) return;
+
+        Object.assign(post, changed);
+        saveLocal();
+        render();
+
+        if (isPublishing()) {
+            publishUpdate(post, changed);
+            setStatus('Saved your edit and publishing it…');
+        } else {
+            setStatus('Saved your edit.');
+        }
+    });
+}
+
+function postHref(id) {
+    return `#/post/${id}`;
+}
+
+function authorNameFor(post, source) {
     if (source === 'api') {
-        authorName = state.usersById[post.userId]?.name || `User #${post.userId ?? '—'}`;
-    } else {
-        authorName = post.author?.trim() || 'You';
+        return state.usersById[post.userId]?.name || `User #${post.userId ?? '—'}`;
     }
-    text(authorEl, `by ${authorName}`);
+    return post.author?.trim() || 'You';
+}
 
-    sourceEl.classList.toggle('local', source === 'local');
-    text(sourceEl, source === 'local' ? 'client-side' : 'api');
+// ---- Markdown (client-side posts only) ----
+// Output is built with createElement/textContent only, so raw HTML in a post is shown as text.
+
+const MD_LIST_RE = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const MD_INLINE_RE = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|(?<!\w)__(.+?)__(?!\w)|\*(?!\s)(.+?)\*|(?<!\w)_(?!\s)(.+?)_(?!\w)/;
+
+function safeUrl(href) {
+    if (href.startsWith('#')) return href;
+    try {
+        const url = new URL(href, location.href);
+        return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function appendInline(parent, src) {
+    let rest = src;
+    while (rest) {
+        const m = rest.match(MD_INLINE_RE);
+        if (!m) {
+            parent.append(rest);
+            break;
+        }
+        parent.append(rest.slice(0, m.index));
+        const [whole, code, linkText, href, strong1, strong2, em1, em2] = m;
+        if (code) {
+            const el = document.createElement('code');
+            el.textContent = code;
+            parent.append(el);
+        } else if (linkText) {
+            const url = safeUrl(href);
+            if (url) {
+                const a = link(url, '');
+                a.rel += ' nofollow';
+                appendInline(a, linkText);
+                parent.append(a);
+            } else {
+                appendInline(parent, linkText);
+            }
+        } else {
+            const el = document.createElement(strong1 || strong2 ? 'strong' : 'em');
+            appendInline(el, strong1 || strong2 || em1 || em2);
+            parent.append(el);
+        }
+        rest = rest.slice(m.index + whole.length);
+    }
+}
+
+function isMarkdownBlockStart(line) {
+    return /^\s*(```|~~~)/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) || MD_LIST_RE.test(line);
+}
 
+// Subset: headings, paragraphs, lists, blockquotes, fenced code, rules, code/links/emphasis inline.
+function renderMarkdown(src) {
+    const frag = document.createDocumentFragment();
+    const lines = String(src).replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) { i++; continue; }
+
+        const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)\s*$/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+            i++;
+            const pre = document.createElement('pre');
+            const codeEl = document.createElement('code');
+            if (fence[2]) codeEl.className = `language-${fence[2]}`;
+            codeEl.textContent = code.join('\n');
+            pre.append(codeEl);
+            frag.append(pre);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const h = document.createElement(`h${heading[1].length}`);
+            appendInline(h, heading[2]);
+            frag.append(h);
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            frag.append(document.createElement('hr'));
+            i++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*> ?/, ''));
+            const bq = document.createElement('blockquote');
+            bq.append(renderMarkdown(quoted.join('\n')));
+            frag.append(bq);
+            continue;
+        }
+
+        const item = line.match(MD_LIST_RE);
+        if (item) {
+            const ordered = /\d/.test(item[1]);
+            const list = document.createElement(ordered ? 'ol' : 'ul');
+            if (ordered && parseInt(item[1], 10) !== 1) list.start = parseInt(item[1], 10);
+            let m;
+            while (i < lines.length && (m = lines[i].match(MD_LIST_RE)) && /\d/.test(m[1]) === ordered) {
+                const li = document.createElement('li');
+                appendInline(li, m[2]);
+                list.append(li);
+                i++;
+            }
+            frag.append(list);
+            continue;
+        }
+
+        const p = document.createElement('p');
+        let first = true;
+        while (i < lines.length && lines[i].trim() && (first || !isMarkdownBlockStart(lines[i]))) {
+            if (!first) p.append(document.createElement('br'));
+            appendInline(p, lines[i++].trim());
+            first = false;
+        }
+        frag.append(p);
+    }
+    return frag;
+}
+
+// Local bodies are Markdown, API bodies stay plain text.
+function renderBody(node, post, source, needles = []) {
+    node.classList.toggle('md', source === 'local');
     if (source !== 'local') {
-        rmBtn.style.display = 'none';
+        highlight(node, post.body, needles);
+        return;
+    }
+    node.textContent = '';
+    node.append(renderMarkdown(post.body));
+    markTextNodes(node, needles);
+}
+
+function postKey(post, source) {
+    return `${source}:${post.id}`;
+}
+
+function selectedUserId() {
+    return state.author.startsWith('user:') ? Number(state.author.slice(5)) : null;
+}
+
+function selectedLocalAuthor() {
+    return state.author.startsWith('local:') ? state.author.slice(6) : null;
+}
+
+function localAuthorName(post) {
+    return post.author?.trim() || 'You';
+}
+
+// Feed order: newest client-side posts first, then API posts in page order.
+function feedEntries() {
+    const userId = selectedUserId();
+    const localAuthor = selectedLocalAuthor();
+    const local = userId !== null ? [] : state.localPosts
+        .filter(p => localAuthor === null || localAuthorName(p) === localAuthor);
+    // A published local post may come back from the backend; show it once, as the local card.
+    const published = new Set(state.localPosts.map(p => remoteIdOn(p)).filter(id => id != null));
+    const remote = localAuthor !== null ? [] : state.posts
+        .filter(p => (userId === null || p.userId === userId) && !published.has(p.id));
+    return [
+        ...[...local].sort((a, b) => b.id - a.id).map(post => ({ post, source: 'local' })),
+        ...remote.map(post => ({ post, source: 'api' }))
+    ];
+}
+
+// Counts are for posts loaded so far; API users come from usersById, local authors from localPosts.
+// Under a user filter state.posts is that user's only, so API counts stay from the last unfiltered feed.
+function renderAuthorOptions() {
+    if (selectedUserId() === null) {
+        apiAuthorCounts = {};
+        state.posts.forEach(p => apiAuthorCounts[p.userId] = (apiAuthorCounts[p.userId] || 0) + 1);
+    }
+    const apiCounts = apiAuthorCounts;
+    const apiTotal = apiCounts && Object.values(apiCounts).reduce((sum, n) => sum + n, 0);
+    const localCounts = {};
+    state.localPosts.forEach(p => {
+        const name = localAuthorName(p);
+        localCounts[name] = (localCounts[name] || 0) + 1;
+    });
+
+    const options = [['', apiCounts ? `All authors (${apiTotal + state.localPosts.length})` : 'All authors']];
+    Object.values(state.usersById)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(u => options.push([`user:${u.id}`, apiCounts ? `${u.name} (${apiCounts[u.id] || 0})` : u.name]));
+    Object.keys(localCounts)
+        .sort((a, b) => a.localeCompare(b))
+        .forEach(name => options.push([`local:${name}`, `${name} · client-side (${localCounts[name]})`]));
+    if (state.author && !options.some(([value]) => value === state.author)) {
+        options.push([state.author, state.author.replace(/^\w+:/, '')]);
+    }
+
+    const sig = JSON.stringify(options);
+    if (sig !== authorOptionsSig) {
+        authorOptionsSig = sig;
+        els.authorFilter.innerHTML = '';
+        options.forEach(([value, label]) => els.authorFilter.add(new Option(label, value)));
+    }
+    els.authorFilter.value = state.author;
+}
+
+function renderAuthorPanel() {
+    const userId = selectedUserId();
+    const localAuthor = selectedLocalAuthor();
+    if (userId === null && localAuthor === null) {
+        els.authorPanel.classList.add('hidden');
+        return;
+    }
+    const user = userId !== null ? state.usersById[userId] : null;
+    text(els.authorPanelTitle, user?.name || localAuthor || `User #${userId}`);
+    fillProfile(els.authorPanelList, user);
+    if (localAuthor !== null) {
+        const n = state.localPosts.filter(p => localAuthorName(p) === localAuthor).length;
+        text(els.authorPanelNote, `Client-side author with ${n} post${n === 1 ? '' : 's'} in this browser.`);
     } else {
-        rmBtn.addEventListener('click', () => {
-            const idx = state.localPosts.findIndex(p => p.id === post.id);
-            if (idx !== -1) { state.localPosts.splice(idx, 1); saveLocal(); }
-            article.remove();
-            setStatus('Removed a client-side post.');
-        });
+        text(els.authorPanelNote, user ? '' : 'Profile not loaded yet.');
+    }
+    els.authorPanel.classList.remove('hidden');
+}
+
+// Splits the search box into free terms, "quoted phrases" and author:/source: filters.
+function parseQuery(raw) {
+    const query = { terms: [], authors: [], sources: [], active: false };
+    const re = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(raw))) {
+        const [, key, quotedValue, value, phrase, word] = m;
+        if (key) {
+            const v = (quotedValue ?? value).toLowerCase();
+            if (!v) continue;
+            if (key.toLowerCase() === 'author') query.authors.push(v);
+            else if (key.toLowerCase() === 'source') query.sources.push(v === 'client-side' ? 'local' : v);
+            else query.terms.push(m[0].toLowerCase());
+        } else {
+            const v = (phrase ?? word).trim().toLowerCase();
+            if (v) query.terms.push(v);
+        }
+    }
+    query.active = query.terms.length + query.authors.length + query.sources.length > 0;
+    return query;
+}
+
+function matchesQuery(query, post, source) {
+    if (!query.active) return true;
+    const author = authorNameFor(post, source).toLowerCase();
+    if (query.sources.length && !query.sources.includes(source)) return false;
+    if (!query.authors.every(a => author.includes(a))) return false;
+    const haystack = `${post.title}\n${post.body}\n${author}`.toLowerCase();
+    return query.terms.every(t => haystack.includes(t));
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function needleRegExp(needles) {
+    const pattern = [...needles].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    return new RegExp(pattern, 'gi');
+}
+
+// Text of value with every needle occurrence wrapped in <mark>.
+function highlightFragment(value, re) {
+    const frag = document.createDocumentFragment();
+    let last = 0;
+    let m;
+    re.lastIndex = 0;
+    while ((m = re.exec(value))) {
+        if (!m[0]) { re.lastIndex++; continue; }
+        frag.append(value.slice(last, m.index));
+        const mark = document.createElement('mark');
+        mark.textContent = m[0];
+        frag.append(mark);
+        last = m.index + m[0].length;
+    }
+    frag.append(value.slice(last));
+    return frag;
+}
+
+function highlight(node, value, needles) {
+    node.textContent = '';
+    if (!needles.length) {
+        node.textContent = value;
+        return;
     }
+    node.append(highlightFragment(value, needleRegExp(needles)));
+}
+
+// Same as highlight, for markup that is already rendered (e.g. Markdown).
+function markTextNodes(root, needles) {
+    if (!needles.length) return;
+    const re = needleRegExp(needles);
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    nodes.forEach(node => {
+        re.lastIndex = 0;
+        if (re.test(node.nodeValue)) node.replaceWith(highlightFragment(node.nodeValue, re));
+    });
+}
+
+function readQueryFromURL() {
+    const params = new URLSearchParams(location.search);
+    els.search.value = params.get('q') || '';
+    state.author = params.get('author') || '';
+}
 
-    els.posts.appendChild(frag);
+// replaceState keeps the hash route and avoids a history entry per keystroke.
+function writeQueryToURL() {
+    const url = new URL(location.href);
+    const q = els.search.value.trim();
+    if (q) url.searchParams.set('q', q);
+    else url.searchParams.delete('q');
+    if (state.author) url.searchParams.set('author', state.author);
+    else url.searchParams.delete('author');
+    history.replaceState(history.state, '', url);
 }
 
-function renderAll() {
-    clearPosts();
-    [...state.localPosts].sort((a, b) => b.id - a.id).forEach(p => renderOne(p, { source: 'local' }));
-    state.posts.forEach(p => renderOne(p, { source: 'api' }));
+// Built once per post; handlers read entry.post so they always see the current object.
+function createCard(entry) {
+    const frag = els.tmpl.content.cloneNode(true);
+    const article = frag.querySelector('.card');
+    article.dataset.id = entry.post.id;
+    frag.querySelector('.card-link').href = postHref(entry.post.id);
+
+    if (entry.source !== 'local') {
+        frag.querySelector('.card-foot').style.display = 'none';
+    } else {
+        frag.querySelector('.edit-btn').addEventListener('click', () => startEdit(article, entry.post));
+        frag.querySelector('.remove-btn').addEventListener('click', () => removeLocalPost(entry.post));
+    }
+    entry.el = article;
+    return entry;
+}
+
+function updateCard(entry, query) {
+    const { el, post, source } = entry;
+    const author = authorNameFor(post, source);
+    const sig = [post.title, post.body, author, post.sync?.status, post.sync?.error, ...query.terms, '', ...query.authors].join('\u0000');
+    if (sig === entry.sig) return;
+    entry.sig = sig;
+    highlight(el.querySelector('.card-link'), post.title, query.terms);
+    renderBody(el.querySelector('.card-body'), post, source, query.terms);
+    const authorEl = el.querySelector('.author');
+    text(authorEl, 'by ');
+    const nameEl = document.createElement('span');
+    highlight(nameEl, author, [...query.terms, ...query.authors]);
+    authorEl.append(nameEl);
+    paintSource(el.querySelector('.badge.source'), post, source);
+}
+
+// Diffs state against the cards on screen: only new posts get a card, only changed ones are touched.
+function render() {
+    const query = parseQuery(els.search.value);
+    const wanted = feedEntries();
+    const keys = new Set(wanted.map(({ post, source }) => postKey(post, source)));
+
+    for (const [key, entry] of cards) {
+        if (!keys.has(key)) {
+            entry.el.remove();
+            cards.delete(key);
+        }
+    }
+
+    let shown = 0;
+    let next = els.posts.firstElementChild;
+    wanted.forEach(({ post, source }) => {
+        const key = postKey(post, source);
+        let entry = cards.get(key);
+        if (!entry) {
+            entry = createCard({ post, source, sig: null });
+            cards.set(key, entry);
+        }
+        entry.post = post;
+        updateCard(entry, query);
+        const visible = matchesQuery(query, post, source);
+        if (visible) shown++;
+        entry.el.classList.toggle('hidden', !visible);
+
+        if (entry.el === next) next = next.nextElementSibling;
+        else els.posts.insertBefore(entry.el, next);
+    });
+
+    const summary = query.active ? `${shown} of ${wanted.length} posts match` : '';
+    text(els.matchCount, summary);
+    renderAuthorOptions();
+    renderAuthorPanel();
+    return { shown, total: wanted.length, summary };
 }
 
 async function fetchUsers() {
-    const res = await fetch(`${API_URL}/users`);
-    if (!res.ok) throw new Error(`Users HTTP ${res.status}`);
-    const users = await res.json();
+    const users = await api.listUsers();
     const map = {};
     users.forEach(u => map[u.id] = u);
     state.usersById = map;
 }
 
-async function fetchPosts(limit = 12) {
-    const res = await fetch(`${API_URL}/posts?_limit=${encodeURIComponent(limit)}`);
-    if (!res.ok) throw new Error(`Posts HTTP ${res.status}`);
-    return await res.json();
+function fetchPosts(options) {
+    return api.listPosts(options);
+}
+
+function fetchPost(id) {
+    return api.getPost(id);
+}
+
+function fetchComments(postId) {
+    return api.listComments(postId);
+}
+
+function updatePager() {
+    const loaded = state.page > 0 && selectedLocalAuthor() === null;
+    els.loadMoreBtn.classList.toggle('hidden', !loaded || !state.hasMore);
+    els.loadMoreBtn.disabled = state.loadingMore;
+    text(els.loadMoreBtn, state.loadingMore ? 'Loading…' : 'Load more posts');
+    els.endText.classList.toggle('hidden', !loaded || state.hasMore);
+}
+
+// Keeps only posts whose id is not already loaded.
+function appendUnique(posts) {
+    const seen = new Set(state.posts.map(p => p.id));
+    const fresh = posts.filter(p => !seen.has(p.id));
+    state.posts.push(...fresh);
+    return fresh;
 }
 
 async function loadData() {
+    const token = ++loadToken;
     hideError();
-    createSkeletons(8);
+    if (state.posts.length) els.posts.setAttribute('aria-busy', 'true');
+    else createSkeletons(8);
     setStatus('Fetching posts…');
+    state.loadingMore = false;
+    updatePager();
 
     try {
-        const [_, posts] = await Promise.all([fetchUsers(), fetchPosts(12)]);
-        state.posts = posts;
+        const userId = selectedUserId();
+        const [_, posts] = await Promise.all([fetchUsers(), fetchPosts({ page: 1, userId })]);
+        if (token !== loadToken) return;
+        state.posts = [];
+        appendUnique(posts);
+        state.page = 1;
+        state.hasMore = posts.length > 0;
+        if (userId === null) writeCache(posts);
+        hideCacheBanner();
+        removeSkeletons();
         endLoading();
-        renderAll();
+        render();
+        updatePager();
+        observeSentinel();
         setStatus(`Loaded ${posts.length} posts from API.`);
     } catch (err) {
+        if (token !== loadToken) return;
         console.error(err);
+        removeSkeletons();
         endLoading();
-        showError(err.message || 'Unknown error');
-        setStatus('');
+        const cache = readCache();
+        if (cache) {
+            // Stale beats empty: keep what is on screen (or the cached feed) and say how old it is.
+            if (!state.posts.length) hydrateFromCache();
+            showCacheBanner(cache.savedAt);
+            observeSentinel();
+            setStatus(`Couldn’t reach the API (${err.message}). Showing cached posts.`);
+        } else {
+            showError(err.message || 'Unknown error');
+            setStatus('');
+        }
     }
 }
 
+async function loadMore() {
+    if (state.loadingMore || !state.hasMore || state.page === 0 || selectedLocalAuthor() !== null) return;
+    const token = loadToken;
+    const page = state.page + 1;
+    state.loadingMore = true;
+    updatePager();
+    createSkeletons(PAGE_SIZE);
+    setStatus(`Fetching page ${page}…`);
+
+    try {
+        const posts = await fetchPosts({ page, userId: selectedUserId() });
+        if (token !== loadToken) return;
+        removeSkeletons();
+        const fresh = appendUnique(posts);
+        render();
+        state.page = page;
+        state.hasMore = posts.length > 0;
+        setStatus(state.hasMore ? `Loaded ${fresh.length} more posts.` : 'No more posts.');
+    } catch (err) {
+        if (token !== loadToken) return;
+        console.error(err);
+        removeSkeletons();
+        setStatus(`Couldn’t load page ${page}: ${err.message || 'Unknown error'}`);
+    } finally {
+        if (token === loadToken) {
+            state.loadingMore = false;
+            endLoading();
+            updatePager();
+            observeSentinel();
+        }
+    }
+}
+
+// Re-observing makes the observer report the sentinel again if a short page left it on screen.
+const sentinelObserver = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore();
+    }, { rootMargin: '400px 0px' })
+    : null;
+
+function observeSentinel() {
+    if (!sentinelObserver) return;
+    sentinelObserver.unobserve(els.loadMoreBtn);
+    if (state.hasMore) sentinelObserver.observe(els.loadMoreBtn);
+}
+
 els.form.addEventListener('submit', (e) => {
     e.preventDefault();
     const title = els.title.value.trim();
@@ -172,47 +1157,596 @@ els.form.addEventListener('submit', (e) => {
 
     state.localPosts.push(newPost);
     saveLocal();
+    render();
+    renderPreview();
 
-    const before = els.posts.firstElementChild;
-    const frag = els.tmpl.content.cloneNode(true);
-    const titleEl = frag.querySelector('.card-title');
-    const bodyEl = frag.querySelector('.card-body');
-    const authorEl = frag.querySelector('.author');
-    const sourceEl = frag.querySelector('.badge.source');
-    const rmBtn = frag.querySelector('.remove-btn');
-
-    text(titleEl, newPost.title);
-    text(bodyEl, newPost.body);
-    text(authorEl, `by ${newPost.author?.trim() || 'You'}`);
-    sourceEl.classList.add('local');
-    text(sourceEl, 'client-side');
-
-    rmBtn.addEventListener('click', () => {
-        const idx = state.localPosts.findIndex(p => p.id === newPost.id);
-        if (idx !== -1) { state.localPosts.splice(idx, 1); saveLocal(); }
-        // find parent card to remove
-        rmBtn.closest('.card').remove();
-        setStatus('Removed a client-side post.');
-    });
-
-    els.posts.insertBefore(frag, before);
+    const publishing = isPublishing();
+    if (publishing) publishCreate(newPost);
 
     els.form.reset();
     els.title.focus();
-    setStatus('Added a new client-side post.');
+    setStatus(publishing ? 'Added a new post and publishing it…' : 'Added a new client-side post.');
+});
+
+function renderPreview() {
+    const src = els.body.value;
+    els.preview.textContent = '';
+    if (src.trim()) els.preview.append(renderMarkdown(src));
+    else text(els.preview, 'Nothing to preview yet.');
+    els.preview.classList.toggle('empty', !src.trim());
+}
+
+els.body.addEventListener('input', renderPreview);
+
+els.publish.addEventListener('change', () => {
+    localStorage.setItem('sb.publish', els.publish.checked ? '1' : '0');
+    setStatus(els.publish.checked ? 'New posts and edits will be published to the API.' : 'Changes stay in this browser.');
+});
+
+els.authorFilter.addEventListener('change', () => {
+    const prevUserId = selectedUserId();
+    state.author = els.authorFilter.value;
+    writeQueryToURL();
+    if (selectedUserId() !== prevUserId) {
+        loadData();
+    } else {
+        render();
+        updatePager();
+    }
+    setStatus(`Showing posts by ${els.authorFilter.selectedOptions[0]?.textContent || 'all authors'}.`);
 });
 
 els.search.addEventListener('input', () => {
-    const q = els.search.value.trim().toLowerCase();
-    const cards = els.posts.querySelectorAll('.card');
-    cards.forEach(card => {
-        const title = card.querySelector('.card-title')?.textContent.toLowerCase() || '';
-        card.style.display = title.includes(q) ? '' : 'none';
+    writeQueryToURL();
+    setStatus(render().summary);
+});
+
+function findPost(id) {
+    const local = state.localPosts.find(p => p.id === id);
+    if (local) return { post: local, source: 'local' };
+    const api = state.posts.find(p => p.id === id);
+    return api ? { post: api, source: 'api' } : null;
+}
+
+function showDetailError(message) {
+    els.detailErrorMsg.textContent = message || '';
+    els.detailError.classList.remove('hidden');
+}
+
+function hideDetailError() {
+    els.detailError.classList.add('hidden');
+    els.detailErrorMsg.textContent = '';
+}
+
+function renderDetail(post, source) {
+    text(els.detailTitle, post.title);
+    renderBody(els.detailBody, post, source);
+    text(els.detailAuthor, `by ${authorNameFor(post, source)}`);
+    els.detailSource.classList.toggle('local', source === 'local');
+    text(els.detailSource, source === 'local' ? 'client-side' : 'api');
+    document.title = `${post.title} — Simple Blog`;
+}
+
+function link(href, label) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.rel = 'noreferrer noopener';
+    a.target = '_blank';
+    text(a, label);
+    return a;
+}
+
+function fillProfile(listEl, user) {
+    listEl.innerHTML = '';
+    if (!user) return;
+    const website = user.website && (/^https?:\/\//i.test(user.website) ? user.website : `http://${user.website}`);
+    const rows = [
+        ['Name', user.name],
+        ['Username', user.username],
+        ['Email', user.email && link(`mailto:${user.email}`, user.email)],
+        ['Website', website && link(website, user.website)],
+        ['Company', user.company?.name],
+        ['', user.company?.catchPhrase],
+        ['City', user.address?.city]
+    ];
+    rows.filter(([, value]) => value).forEach(([label, value]) => {
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        text(dt, label);
+        dd.append(value);
+        listEl.append(dt, dd);
     });
+}
+
+function renderProfile(user) {
+    fillProfile(els.profileList, user);
+    els.profile.classList.toggle('hidden', !user);
+}
+
+function renderComment({ name, body }, source) {
+    const frag = els.commentTmpl.content.cloneNode(true);
+    const sourceEl = frag.querySelector('.badge.source');
+    text(frag.querySelector('.comment-author'), name || 'Anonymous');
+    text(frag.querySelector('.comment-body'), body);
+    sourceEl.classList.toggle('local', source === 'local');
+    text(sourceEl, source === 'local' ? 'client-side' : 'api');
+    els.comments.appendChild(frag);
+}
+
+function updateCommentCount() {
+    const n = els.comments.children.length;
+    text(els.commentCount, `(${n})`);
+}
+
+function renderComments(apiComments, postId) {
+    els.comments.innerHTML = '';
+    apiComments.forEach(c => renderComment(c, 'api'));
+    (state.localComments[postId] || []).forEach(c => renderComment(c, 'local'));
+    updateCommentCount();
+}
+
+async function showPost(id) {
+    if (currentPostId === null) listScrollY = window.scrollY;
+    currentPostId = id;
+    els.listView.classList.add('hidden');
+    els.postView.classList.remove('hidden');
+    hideDetailError();
+    renderProfile(null);
+    text(els.detailTitle, 'Loading…');
+    text(els.detailBody, '');
+    text(els.detailAuthor, '');
+    text(els.detailSource, '');
+    els.comments.innerHTML = '';
+    text(els.commentCount, '');
+    window.scrollTo(0, 0);
+
+    try {
+        const found = findPost(id) || { post: await fetchPost(id), source: 'api' };
+        if (currentPostId !== id) return;
+        const { post, source } = found;
+        renderDetail(post, source);
+        els.detailTitle.focus();
+
+        if (source === 'local') {
+            renderComments([], id);
+            return;
+        }
+
+        els.comments.setAttribute('aria-busy', 'true');
+        els.commentsLoading.classList.remove('hidden');
+        const needsUsers = !state.usersById[post.userId];
+        const [comments] = await Promise.all([
+            fetchComments(id),
+            needsUsers ? fetchUsers().catch(err => console.error(err)) : null
+        ]);
+        if (currentPostId !== id) return;
+        renderDetail(post, source);
+        renderProfile(state.usersById[post.userId]);
+        renderComments(comments, id);
+    } catch (err) {
+        console.error(err);
+        if (currentPostId !== id) return;
+        showDetailError(err.message || 'Unknown error');
+        renderComments([], id);
+    } finally {
+        if (currentPostId === id) {
+            els.comments.setAttribute('aria-busy', 'false');
+            els.commentsLoading.classList.add('hidden');
+        }
+    }
+}
+
+function showList() {
+    const wasDetail = currentPostId !== null;
+    currentPostId = null;
+    els.postView.classList.add('hidden');
+    els.listView.classList.remove('hidden');
+    document.title = baseTitle;
+    if (wasDetail) window.scrollTo(0, listScrollY);
+}
+
+function parseRoute() {
+    const match = location.hash.match(/^#\/post\/(\d+)$/);
+    return match ? { name: 'post', id: Number(match[1]) } : { name: 'list' };
+}
+
+function renderRoute() {
+    const route = parseRoute();
+    if (route.name === 'post') showPost(route.id);
+    else showList();
+}
+
+els.commentForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (currentPostId === null) return;
+    const name = els.commentName.value.trim() || 'You';
+    const body = els.commentBody.value.trim();
+
+    if (!body) {
+        setStatus('Please write a comment first.');
+        els.commentBody.focus();
+        return;
+    }
+
+    const comment = { id: Date.now(), name, body, createdAt: new Date().toISOString() };
+    (state.localComments[currentPostId] ||= []).push(comment);
+    saveLocalComments();
+
+    renderComment(comment, 'local');
+    updateCommentCount();
+    els.commentBody.value = '';
+    els.commentBody.focus();
+    setStatus('Added a client-side comment.');
+});
+
+function toggleRestFields() {
+    els.restFields.classList.toggle('hidden', els.backendType.value !== 'rest');
+}
+
+function fillSettingsForm() {
+    const { baseUrl, ...rest } = { ...DEFAULT_REST_CONFIG, ...backendSettings.rest };
+    els.backendType.value = backendSettings.type;
+    els.restBaseUrl.value = baseUrl;
+    els.restConfig.value = JSON.stringify(rest, null, 2);
+    toggleRestFields();
+}
+
+function switchBackend(settings) {
+    backendSettings = settings;
+    localStorage.setItem(BACKEND_KEY, JSON.stringify(settings));
+    api = createAdapter(settings);
+
+    const url = new URL(location.href);
+    url.searchParams.delete('backend');
+    url.searchParams.delete('api');
+    history.replaceState(history.state, '', url);
+
+    state.posts = [];
+    state.usersById = {};
+    state.page = 0;
+    state.hasMore = true;
+    apiAuthorCounts = null;
+    if (selectedUserId() !== null) {
+        state.author = '';
+        writeQueryToURL();
+    }
+    hideCacheBanner();
+    if (!hydrateFromCache()) render();
+    updatePager();
+    loadData();
+    text(els.settingsMsg, `Using ${api.label}.`);
+}
+
+els.settingsBtn.addEventListener('click', () => {
+    const open = els.settingsPanel.classList.toggle('hidden') === false;
+    els.settingsBtn.setAttribute('aria-expanded', String(open));
+    if (open) {
+        fillSettingsForm();
+        text(els.settingsMsg, `Currently using ${api.label}.`);
+        els.backendType.focus();
+    }
+});
+
+els.backendType.addEventListener('change', toggleRestFields);
+
+els.settingsForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const type = els.backendType.value;
+    let rest = backendSettings.rest;
+
+    if (type === 'rest') {
+        let url;
+        try {
+            url = new URL(els.restBaseUrl.value.trim());
+        } catch (err) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            text(els.settingsMsg, 'Enter an http(s) base URL, e.g. http://localhost:3000.');
+            els.restBaseUrl.focus();
+            return;
+        }
+        let config;
+        try {
+            config = JSON.parse(els.restConfig.value.trim() || '{}');
+        } catch (err) {
+            text(els.settingsMsg, `The REST config is not valid JSON: ${err.message}`);
+            els.restConfig.focus();
+            return;
+        }
+        rest = { ...config, baseUrl: url.href };
+    }
+
+    switchBackend({ type, rest });
+});
+
+// ---- Import / export ----
+
+function reportTransfer(message) {
+    text(els.transferMsg, message);
+    setStatus(message);
+}
+
+function postDate(post, source) {
+    if (post.createdAt) return new Date(post.createdAt);
+    return source === 'local' ? new Date(post.id) : new Date();
+}
+
+function exportEntries() {
+    const local = [...state.localPosts].sort((a, b) => b.id - a.id).map(post => ({ post, source: 'local' }));
+    const remote = els.includeApi.checked ? state.posts.map(post => ({ post, source: 'api' })) : [];
+    return [...local, ...remote];
+}
+
+function exportRecord({ post, source }) {
+    const record = {
+        id: post.id,
+        title: post.title,
+        body: post.body,
+        author: authorNameFor(post, source),
+        source,
+        date: postDate(post, source).toISOString()
+    };
+    if (source === 'local' && state.localComments[post.id]?.length) record.comments = state.localComments[post.id];
+    return record;
+}
+
+function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function slugify(value) {
+    return value.toLowerCase().normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s_-]+/g, '-').slice(0, 60) || 'post';
+}
+
+function yamlString(value) {
+    return JSON.stringify(String(value));
+}
+
+function toMarkdownFile(record) {
+    return [
+        '---',
+        `title: ${yamlString(record.title)}`,
+        `author: ${yamlString(record.author)}`,
+        `date: ${record.date}`,
+        `source: ${record.source}`,
+        `id: ${record.id}`,
+        '---',
+        '',
+        record.body,
+        ''
+    ].join('\n');
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+function feedLink(record) {
+    const url = new URL(location.href);
+    url.search = '';
+    url.hash = postHref(record.id);
+    return url.href;
+}
+
+function toRss(records) {
+    const site = new URL('.', location.href).href;
+    const items = records.map(r => `    <item>
+      <title>${escapeXml(r.title)}</title>
+      <link>${escapeXml(feedLink(r))}</link>
+      <guid isPermaLink="false">${escapeXml(`${r.source}-${r.id}`)}</guid>
+      <pubDate>${new Date(r.date).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(r.author)}</dc:creator>
+      <description>${escapeXml(r.body)}</description>
+    </item>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Simple Blog</title>
+    <link>${escapeXml(site)}</link>
+    <description>Posts exported from Simple Blog</description>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function toAtom(records) {
+    const site = new URL('.', location.href).href;
+    const entries = records.map(r => `  <entry>
+    <title>${escapeXml(r.title)}</title>
+    <id>${escapeXml(`urn:simple-blog:${r.source}:${r.id}`)}</id>
+    <link href="${escapeXml(feedLink(r))}" />
+    <updated>${r.date}</updated>
+    <author><name>${escapeXml(r.author)}</name></author>
+    <content type="text">${escapeXml(r.body)}</content>
+  </entry>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Simple Blog</title>
+  <id>${escapeXml(site)}</id>
+  <link href="${escapeXml(site)}" />
+  <updated>${new Date().toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function exportAs(format) {
+    const records = exportEntries().map(exportRecord);
+    if (!records.length) {
+        reportTransfer('Nothing to export yet.');
+        return;
+    }
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+        const data = { version: 1, exportedAt: new Date().toISOString(), posts: records };
+        download(`simple-blog-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } else if (format === 'md') {
+        // One file per post; staggered because browsers throttle bursts of downloads.
+        records.forEach((r, i) => setTimeout(() => {
+            download(`${slugify(r.title)}-${r.id}.md`, toMarkdownFile(r), 'text/markdown');
+        }, i * 150));
+    } else if (format === 'rss') {
+        download(`simple-blog-${stamp}.rss.xml`, toRss(records), 'application/rss+xml');
+    } else {
+        download(`simple-blog-${stamp}.atom.xml`, toAtom(records), 'application/atom+xml');
+    }
+    reportTransfer(`Exported ${records.length} post${records.length === 1 ? '' : 's'} as ${format.toUpperCase()}.`);
+}
+
+function parseFrontMatter(src) {
+    const m = src.replace(/\r\n?/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+    if (!m) return { meta: {}, body: src };
+    const meta = {};
+    m[1].split('\n').forEach(line => {
+        const kv = line.match(/^(\w+):\s*(.*)$/);
+        if (!kv) return;
+        let value = kv[2].trim();
+        if (/^".*"$/.test(value)) {
+            try { value = JSON.parse(value); } catch (e) { value = value.slice(1, -1); }
+        } else if (/^'.*'$/.test(value)) {
+            value = value.slice(1, -1).replace(/''/g, "'");
+        }
+        meta[kv[1].toLowerCase()] = value;
+    });
+    return { meta, body: m[2] };
+}
+
+// Title falls back to the first "# heading", which is then dropped from the body.
+function recordFromMarkdown(src) {
+    const { meta, body } = parseFrontMatter(src);
+    let title = meta.title;
+    let content = body.trim();
+    if (!title) {
+        const heading = content.match(/^#\s+(.+)\n*/);
+        if (heading) {
+            title = heading[1].trim();
+            content = content.slice(heading[0].length).trim();
+        }
+    }
+    return { title, body: content, author: meta.author, date: meta.date };
+}
+
+function recordsFromJson(src) {
+    const data = JSON.parse(src);
+    const list = Array.isArray(data) ? data : data?.posts;
+    if (!Array.isArray(list)) throw new Error('expected an array of posts or { "posts": [...] }');
+    return list;
+}
+
+// Returns an error string, or null when the record can become a post.
+function validateRecord(record) {
+    if (!record || typeof record !== 'object') return 'not an object';
+    if (typeof record.title !== 'string' || !record.title.trim()) return 'missing title';
+    if (record.title.trim().length > 120) return 'title longer than 120 characters';
+    if (typeof record.body !== 'string' || !record.body.trim()) return 'missing body';
+    if (record.author != null && typeof record.author !== 'string') return 'author must be text';
+    if (record.author && record.author.trim().length > 60) return 'author longer than 60 characters';
+    return null;
+}
+
+function postFingerprint(post) {
+    return `${post.title.trim().toLowerCase()}\u0000${post.body.trim()}`;
+}
+
+async function importFiles(files) {
+    const seen = new Set(state.localPosts.map(postFingerprint));
+    let nextId = Math.max(Date.now(), ...state.localPosts.map(p => p.id + 1));
+    const added = [];
+    const duplicates = [];
+    const invalid = [];
+
+    for (const file of files) {
+        let records;
+        try {
+            const src = await file.text();
+            records = /\.json$/i.test(file.name) || file.type === 'application/json'
+                ? recordsFromJson(src)
+                : [recordFromMarkdown(src)];
+        } catch (err) {
+            invalid.push(`${file.name} (${err.message})`);
+            continue;
+        }
+
+        records.forEach((record, i) => {
+            const label = records.length > 1 ? `${file.name} #${i + 1}` : file.name;
+            const problem = validateRecord(record);
+            if (problem) {
+                invalid.push(`${label} (${problem})`);
+                return;
+            }
+            const post = {
+                id: nextId++,
+                title: record.title.trim(),
+                body: record.body.trim(),
+                author: record.author?.trim() || ''
+            };
+            const date = record.date && new Date(record.date);
+            if (date && !isNaN(date)) post.createdAt = date.toISOString();
+
+            const fingerprint = postFingerprint(post);
+            if (seen.has(fingerprint)) {
+                duplicates.push(post.title);
+                return;
+            }
+            seen.add(fingerprint);
+            if (Array.isArray(record.comments)) {
+                const comments = record.comments
+                    .filter(c => c && typeof c.body === 'string' && c.body.trim())
+                    .map((c, j) => ({ id: post.id + j, name: String(c.name || 'Anonymous'), body: c.body.trim(), createdAt: c.createdAt }));
+                if (comments.length) state.localComments[post.id] = comments;
+            }
+            added.push(post);
+        });
+    }
+
+    if (added.length) {
+        state.localPosts.push(...added);
+        saveLocal();
+        saveLocalComments();
+        render();
+    }
+
+    const parts = [`Imported ${added.length} post${added.length === 1 ? '' : 's'}.`];
+    if (duplicates.length) parts.push(`Skipped ${duplicates.length} duplicate${duplicates.length === 1 ? '' : 's'}: ${duplicates.join(', ')}.`);
+    if (invalid.length) parts.push(`Rejected ${invalid.length}: ${invalid.join('; ')}.`);
+    reportTransfer(parts.join(' '));
+}
+
+els.exportJsonBtn.addEventListener('click', () => exportAs('json'));
+els.exportMdBtn.addEventListener('click', () => exportAs('md'));
+els.exportRssBtn.addEventListener('click', () => exportAs('rss'));
+els.exportAtomBtn.addEventListener('click', () => exportAs('atom'));
+
+els.importFile.addEventListener('change', async () => {
+    const files = [...els.importFile.files];
+    if (!files.length) return;
+    await importFiles(files);
+    els.importFile.value = '';
 });
 
 els.retryBtn.addEventListener('click', loadData);
-els.refreshBtn.addEventListener('click', loadData);
+els.cacheRetryBtn.addEventListener('click', loadData);
+els.refreshBtn.addEventListener('click', () => {
+    retryFailedSyncs();
+    loadData();
+});
+els.loadMoreBtn.addEventListener('click', loadMore);
+window.addEventListener('hashchange', renderRoute);
 
 loadLocal();
+readQueryFromURL();
+renderPreview();
+if (hydrateFromCache()) setStatus('Showing cached posts while refreshing…');
 loadData();
+renderRoute();
@@ -1,5 +1,40 @@
 // ---- Config ----
-const WS_URL = 'wss://echo.websocket.events'; // Public echo server (no auth)
+// The relay that served this page (node server.js [port]), or the default local one when opened as a file;
+// change it in Settings, or per visit with ?ws=<url>, e.g. ?ws=wss://echo.websocket.events
+const DEFAULT_WS_URL = /^https?:$/.test(location.protocol) && location.host
+    ? `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`
+    : 'ws://localhost:8080';
+const SERVER_KEY = 'tc.server';
+const DIAG_LIMIT = 50;               // state changes kept for the diagnostics view
+const ALERTS_KEY = 'tc.alerts';
+const BASE_TITLE = document.title;
+const HEARTBEAT_MS = 15000;          // how often we ping
+const HEARTBEAT_TIMEOUT_MS = 8000;   // no frame within this after a ping = dead connection
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+const OUTBOX_KEY = 'tc.outbox';
+const ACK_TIMEOUT_MS = 10000;        // no ack by then = failed (user can retry)
+const DB_NAME = 'tiny-chat';
+const PAGE_SIZE = 50;                // messages loaded / rendered per step when scrolling
+const MAX_RENDERED = 200;            // bubbles kept in the DOM at once
+const EDGE_PX = 60;                  // how close to the top/bottom counts as "there"
+const TYPING_THROTTLE_MS = 2000;     // at most one "typing" frame per this while typing
+const TYPING_IDLE_MS = 3000;         // stop typing after this long without keystrokes
+const TYPING_EXPIRE_MS = 5000;       // drop someone's indicator if they go quiet
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const CHUNK_BYTES = 48 * 1024;       // raw bytes per "file" frame (base64 makes it ~64 KB)
+const INCOMING_TIMEOUT_MS = 30000;   // an attachment that stops arriving for this long is given up
+const PREVIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const EDIT_WINDOW_MS = 15 * 60 * 1000; // own messages can be edited/deleted this long
+const E2E_KEY = 'tc.e2eRooms';       // rooms with end-to-end encryption on (never the passphrase)
+const E2E_ITERATIONS = 250000;       // PBKDF2 rounds per passphrase
+const CLIENT_KEY = 'tc.client';      // our private id: the server ties our messages to it, not to the name
+
+// Delivery states of our own messages, in the order they can advance
+const STATUS_ORDER = ['pending', 'sending', 'sent', 'delivered', 'read'];
+const STATUS_LABELS = {
+    pending: 'pending', sending: 'sending…', sent: '✓', delivered: '✓✓', read: '✓✓', failed: 'failed',
+};
 
 // ---- DOM ----
 const els = {
@@ -12,19 +47,93 @@ const els = {
     statusText: document.getElementById('statusText'),
     error: document.getElementById('error'),
     errorMsg: document.getElementById('errorMsg'),
+    joinForm: document.getElementById('joinForm'),
+    userName: document.getElementById('userName'),
+    roomName: document.getElementById('roomName'),
+    roomInfo: document.getElementById('roomInfo'),
+    newPill: document.getElementById('newPill'),
+    memberCount: document.getElementById('memberCount'),
+    memberList: document.getElementById('memberList'),
+    typing: document.getElementById('typing'),
+    attachBtn: document.getElementById('attachBtn'),
+    fileInput: document.getElementById('fileInput'),
+    hints: document.getElementById('commandHints'),
+    editHint: document.getElementById('editHint'),
+    settingsBtn: document.getElementById('settingsBtn'),
+    settingsPanel: document.getElementById('settingsPanel'),
+    serverForm: document.getElementById('serverForm'),
+    serverUrl: document.getElementById('serverUrl'),
+    serverMsg: document.getElementById('serverMsg'),
+    resetServerBtn: document.getElementById('resetServerBtn'),
+    diagStats: document.getElementById('diagStats'),
+    diagCloses: document.getElementById('diagCloses'),
+    diagEvents: document.getElementById('diagEvents'),
+    favicon: document.getElementById('favicon'),
+    notifyBtn: document.getElementById('notifyBtn'),
+    soundBtn: document.getElementById('soundBtn'),
+    muteBtn: document.getElementById('muteBtn'),
+    e2eBtn: document.getElementById('e2eBtn'),
+    e2eForm: document.getElementById('e2eForm'),
+    e2ePass: document.getElementById('e2ePass'),
+    e2eOffBtn: document.getElementById('e2eOffBtn'),
+    e2eMsg: document.getElementById('e2eMsg'),
+    e2eStatus: document.getElementById('e2eStatus'),
 };
 
 // ---- State ----
+let wsUrl = readServerUrl();
 let socket = null;
+let connecting = null;       // in-flight connectWS() promise
 let reconnecting = false;
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+let manualClose = false;     // user pressed Disconnect: stay offline
+let inRoom = false;          // the relay has us in profile.room (not after it refused our name)
+let heartbeatTimer = null;
+let heartbeatDeadline = null;
+let flushing = null;
+let outbox = loadOutbox();   // unacknowledged message frames, oldest first
+const deliveries = new Map(); // own message id -> delivery status
+const ackTimers = new Map();  // own message id -> timeout while waiting for the server's ack
+let unread = [];             // ids of received messages we haven't sent a read receipt for
+const uploads = new Map();    // own attachment id -> File (kept for retries)
+const incoming = new Map();   // attachment id -> { parts, received, user, timer } while chunks arrive
+let alerts = loadAlerts();   // { notify, sound, muted: [room ids] }
+let unreadCount = 0;         // messages that arrived while the page was hidden
+let notifications = [];      // open desktop notifications, closed when we come back
+let audioCtx = null;
+let lastChimeAt = 0;
+let e2eRooms = loadE2eRooms(); // room ids that encrypt their messages
+const roomKeys = new Map();   // room -> { key, fingerprint }, in memory only
+let editingId = null;        // own message being edited in the input box
+let hintIndex = 0;           // highlighted command suggestion
+let profile = {
+    user: localStorage.getItem('tc.user') || `guest-${Math.random().toString(36).slice(2, 6)}`,
+    room: localStorage.getItem('tc.room') || 'lobby',
+};
+const clientId = localStorage.getItem(CLIENT_KEY) || genId();
+localStorage.setItem(CLIENT_KEY, clientId);
+let members = []; // names in the current room, from "presence" frames
+const typingUsers = new Map(); // user -> timeout that clears their indicator
+let typingSentAt = 0;        // when we last told the room we're typing (0 = not typing)
+let typingIdleTimer = null;
+
+// The feed only renders timeline[windowStart, windowEnd); the rest lives in memory / IndexedDB.
+let timeline = [];           // current room, oldest first
+let windowStart = 0;
+let windowEnd = 0;
+let hasOlder = true;         // IndexedDB may hold messages before timeline[0]
+let loadingOlder = false;
+let unseen = 0;              // messages that arrived while scrolled up
+let lastSeq = 0;
 
 // ---- Utilities (parameters + return values) ----
-function setStatus(connected) {
+function setStatus(connected, label) {
     els.statusDot.classList.toggle('online', connected);
     els.statusDot.classList.toggle('offline', !connected);
-    els.statusText.textContent = connected ? 'Connected' : 'Disconnected';
+    els.statusText.textContent = label || (connected ? 'Connected' : 'Disconnected');
     els.connectBtn.disabled = connected;
-    els.disconnectBtn.disabled = !connected;
+    els.disconnectBtn.disabled = !connected && !reconnecting;  // also cancels a pending reconnect
 }
 
 function showError(msg) {
@@ -34,17 +143,342 @@ function showError(msg) {
 function hideError() { els.error.classList.add('hidden'); els.errorMsg.textContent = ''; }
 
 function now() {
-    const d = new Date();
-    return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return fmtTime(Date.now());
+}
+
+function fmtTime(ts) {
+    return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function genId() {
+    return crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+// Same rules as the server, so the UI shows the room id that will actually be used
+function cleanRoom(value) {
+    const room = String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+    return room.slice(0, 32) || 'lobby';
+}
+
+function renderRoomInfo() {
+    const online = members.length ? ` · ${members.length} online` : '';
+    els.roomInfo.textContent = `#${profile.room} as ${profile.user}${online}`;
+    renderMembers();
+}
+
+function renderMembers() {
+    const names = [...new Set(members)];   // the same name may be open in several tabs
+    els.memberCount.textContent = String(names.length);
+    els.memberList.replaceChildren(...names.map(name => {
+        const li = document.createElement('li');
+        li.textContent = name;
+        if (name === profile.user) {
+            li.classList.add('self');
+            li.title = 'You';
+        }
+        if (typingUsers.has(name)) li.classList.add('typing');
+        return li;
+    }));
+    if (!names.length) {
+        const li = document.createElement('li');
+        li.className = 'empty';
+        li.textContent = socket ? 'Nobody here yet' : 'Offline';
+        els.memberList.appendChild(li);
+    }
+}
+
+// ---- Alerts (notifications, unread badge, sound) ----
+function loadAlerts() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ALERTS_KEY));
+        return { notify: false, sound: false, muted: [], ...saved };
+    } catch {
+        return { notify: false, sound: false, muted: [] };
+    }
+}
+
+function saveAlerts() {
+    localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts));
+}
+
+function isMuted(room = profile.room) {
+    return alerts.muted.includes(room);
+}
+
+function renderAlertToggles() {
+    const granted = 'Notification' in window && Notification.permission === 'granted';
+    els.notifyBtn.setAttribute('aria-pressed', String(alerts.notify && granted));
+    els.soundBtn.setAttribute('aria-pressed', String(alerts.sound));
+    els.muteBtn.setAttribute('aria-pressed', String(isMuted()));
+    els.muteBtn.textContent = isMuted() ? `🔕 #${profile.room} muted` : `🔕 Mute #${profile.room}`;
+}
+
+function faviconHref(count) {
+    const label = count > 99 ? '99+' : String(count);
+    const badge = count
+        ? `<circle cx="68" cy="32" r="32" fill="#ff5c7c"/><text x="68" y="45" font-size="${label.length > 2 ? 26 : 38}" font-family="sans-serif" font-weight="700" fill="#fff" text-anchor="middle">${label}</text>`
+        : '';
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y=".9em" font-size="90">💬</text>${badge}</svg>`;
+    return 'data:image/svg+xml,' + encodeURIComponent(svg);
+}
+
+function renderUnread() {
+    document.title = unreadCount ? `(${unreadCount}) ${BASE_TITLE}` : BASE_TITLE;
+    els.favicon.href = faviconHref(unreadCount);
+}
+
+// Browsers only let audio start after a user gesture, so the context is created from one
+function primeAudio() {
+    if (!alerts.sound || !window.AudioContext) return;
+    if (!audioCtx) audioCtx = new AudioContext();
+    if (audioCtx.state === 'suspended') audioCtx.resume().catch(() => { });
+}
+
+function playChime() {
+    if (!audioCtx || Date.now() - lastChimeAt < 2000) return;
+    lastChimeAt = Date.now();
+    const t = audioCtx.currentTime;
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(880, t);
+    osc.frequency.exponentialRampToValueAtTime(660, t + 0.25);
+    gain.gain.setValueAtTime(0.0001, t);
+    gain.gain.exponentialRampToValueAtTime(0.06, t + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + 0.35);
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start(t);
+    osc.stop(t + 0.4);
+}
+
+// Called for every incoming message from someone else in the current room
+function alertIncoming(author, preview) {
+    const away = document.hidden || !document.hasFocus();
+    if (!away || isMuted()) return;
+    if (document.hidden) {
+        unreadCount++;
+        renderUnread();
+    }
+    if (alerts.sound) playChime();
+    if (alerts.notify && 'Notification' in window && Notification.permission === 'granted') {
+        const n = new Notification(`${author} in #${profile.room}`, {
+            body: preview.length > 120 ? preview.slice(0, 119) + '…' : preview,
+            tag: `tc-${profile.room}`,   // one notification per room, replaced by the newest
+        });
+        n.onclick = () => {
+            window.focus();
+            n.close();
+        };
+        notifications.push(n);
+    }
+}
+
+function clearAlerts() {
+    if (document.hidden) return;
+    unreadCount = 0;
+    renderUnread();
+    notifications.forEach(n => n.close());
+    notifications = [];
+}
+
+async function toggleNotifications() {
+    if (!('Notification' in window)) {
+        showError('This browser does not support desktop notifications.');
+        return;
+    }
+    if (alerts.notify && Notification.permission === 'granted') {
+        alerts.notify = false;
+    } else {
+        const permission = Notification.permission === 'default'
+            ? await Notification.requestPermission()
+            : Notification.permission;
+        if (permission !== 'granted') {
+            showError('Notifications are blocked for this page — allow them in your browser settings.');
+            alerts.notify = false;
+        } else {
+            alerts.notify = true;
+        }
+    }
+    saveAlerts();
+    renderAlertToggles();
+}
+
+// ---- Typing indicators ----
+function sendTyping(typing) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    sendFrame(socket, { type: 'typing', typing }).catch(() => { });
+}
+
+function noteTyping() {
+    clearTimeout(typingIdleTimer);
+    if (!els.input.value.trim()) {
+        stopTyping();
+        return;
+    }
+    if (Date.now() - typingSentAt > TYPING_THROTTLE_MS) {
+        typingSentAt = Date.now();
+        sendTyping(true);
+    }
+    typingIdleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+}
+
+function stopTyping() {
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = null;
+    if (!typingSentAt) return;
+    typingSentAt = 0;
+    sendTyping(false);
+}
+
+function setTyping(user, typing) {
+    clearTimeout(typingUsers.get(user));
+    if (typing) typingUsers.set(user, setTimeout(() => setTyping(user, false), TYPING_EXPIRE_MS));
+    else if (!typingUsers.delete(user)) return;
+    renderTyping();
+    renderMembers();
+}
+
+function clearTyping() {
+    typingUsers.forEach(timer => clearTimeout(timer));
+    typingUsers.clear();
+    renderTyping();
+}
+
+function renderTyping() {
+    const names = [...typingUsers.keys()];
+    if (!names.length) els.typing.textContent = '';
+    else if (names.length === 1) els.typing.textContent = `${names[0]} is typing…`;
+    else if (names.length === 2) els.typing.textContent = `${names[0]} and ${names[1]} are typing…`;
+    else els.typing.textContent = `${names.length} people are typing…`;
+}
+
+// ---- Rich text (safe Markdown subset, links, emoji) ----
+// Everything is built with createElement/textContent, so message text can never inject HTML.
+const MD_INLINE_RE = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|~~(.+?)~~|\*(?!\s)(.+?)\*|(?<!\w)_(?!\s)(.+?)_(?!\w)|(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/;
+
+const EMOJI = {
+    smile: '😄', grin: '😁', joy: '😂', wink: '😉', blush: '😊', heart_eyes: '😍', thinking: '🤔',
+    sweat_smile: '😅', cry: '😢', sob: '😭', angry: '😠', scream: '😱', sunglasses: '😎', neutral_face: '😐',
+    '+1': '👍', thumbsup: '👍', '-1': '👎', thumbsdown: '👎', clap: '👏', wave: '👋', pray: '🙏', ok_hand: '👌',
+    muscle: '💪', eyes: '👀', heart: '❤️', broken_heart: '💔', fire: '🔥', tada: '🎉', sparkles: '✨', star: '⭐',
+    rocket: '🚀', '100': '💯', check: '✅', x: '❌', warning: '⚠️', bulb: '💡', coffee: '☕', pizza: '🍕',
+    beer: '🍺', cake: '🎂', bug: '🐛', zap: '⚡', poop: '💩', see_no_evil: '🙈', shrug: '🤷',
+};
+
+function safeUrl(href) {
+    try {
+        const url = new URL(href, location.href);
+        return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+function appendText(parent, text) {
+    parent.append(text.replace(/:([a-z0-9_+-]+):/g, (whole, name) => EMOJI[name] || whole));
+}
+
+function appendLink(parent, href, label) {
+    const url = safeUrl(href);
+    if (!url) {
+        appendInline(parent, label);
+        return;
+    }
+    const a = document.createElement('a');
+    a.href = url;
+    a.target = '_blank';
+    a.rel = 'noreferrer noopener nofollow';
+    appendInline(a, label);
+    parent.append(a);
+}
+
+function appendInline(parent, src) {
+    let rest = src;
+    while (rest) {
+        const m = rest.match(MD_INLINE_RE);
+        if (!m) {
+            appendText(parent, rest);
+            break;
+        }
+        appendText(parent, rest.slice(0, m.index));
+        const [whole, code, linkText, href, strong, strike, em1, em2, bareUrl] = m;
+        if (code) {
+            const el = document.createElement('code');
+            el.textContent = code;
+            parent.append(el);
+        } else if (linkText) {
+            appendLink(parent, href, linkText);
+        } else if (bareUrl) {
+            const url = safeUrl(bareUrl);
+            if (url) {
+                const a = document.createElement('a');
+                a.href = url;
+                a.target = '_blank';
+                a.rel = 'noreferrer noopener nofollow';
+                a.textContent = bareUrl;
+                parent.append(a);
+            } else {
+                parent.append(bareUrl);
+            }
+        } else {
+            const el = document.createElement(strong ? 'strong' : strike ? 's' : 'em');
+            appendInline(el, strong || strike || em1 || em2);
+            parent.append(el);
+        }
+        rest = rest.slice(m.index + whole.length);
+    }
+}
+
+// Subset: **bold**, *italic*, ~~strike~~, `code`, [links](url), bare URLs, ```code blocks```, > quotes
+function renderRich(src) {
+    const frag = document.createDocumentFragment();
+    const lines = String(src).replace(/\r\n?/g, '\n').split('\n');
+    let para = null;  // consecutive plain lines share one block, joined by <br>
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*```/.test(line)) {
+            const code = [];
+            while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+            const pre = document.createElement('pre');
+            const codeEl = document.createElement('code');
+            codeEl.textContent = code.join('\n');
+            pre.append(codeEl);
+            frag.append(pre);
+            para = null;
+            continue;
+        }
+        if (/^\s*>\s?/.test(line)) {
+            const quote = document.createElement('blockquote');
+            appendInline(quote, line.replace(/^\s*>\s?/, ''));
+            frag.append(quote);
+            para = null;
+            continue;
+        }
+        if (para) para.append(document.createElement('br'));
+        else {
+            para = document.createElement('p');
+            frag.append(para);
+        }
+        appendInline(para, line);
+    }
+    return frag;
+}
+
+// ---- Messages ----
+function appendSystem(text) {
+    appendMessage({ author: 'System', text, isSystem: true });
 }
 
-function appendMessage({ author, text, isYou = false }) {
+function createBubble(entry) {
+    const { id, author, text, isYou, isSystem, ts, status, attachment, action, edited, deleted, encrypted, enc } = entry;
     // Create message DOM
     const wrap = document.createElement('div');
     const meta = document.createElement('div');
     const bubble = document.createElement('div');
 
-    wrap.className = 'wrap';
+    wrap.className = 'wrap' + (isSystem ? ' system' : '');
+    wrap.dataset.id = id;
     meta.className = 'meta';
     bubble.className = 'msg' + (isYou ? ' you' : '');
 
@@ -55,29 +489,1214 @@ function appendMessage({ author, text, isYou = false }) {
 
     const t = document.createElement('span');
     t.className = 'time';
-    t.textContent = now();
+    t.textContent = fmtTime(ts);
 
     meta.appendChild(who);
     meta.appendChild(t);
+    if (encrypted && !deleted) {
+        const lock = document.createElement('span');
+        lock.className = 'e2e';
+        lock.textContent = '🔒';
+        lock.title = 'End-to-end encrypted';
+        meta.appendChild(lock);
+    }
+    if (edited && !deleted) {
+        const e = document.createElement('span');
+        e.className = 'edited';
+        e.textContent = '(edited)';
+        meta.appendChild(e);
+    }
 
-    // Text (defensive: avoid injecting HTML)
-    bubble.textContent = text;
+    // Text (system lines stay plain; chat messages get the safe Markdown subset)
+    if (deleted) {
+        bubble.classList.add('deleted');
+        bubble.textContent = 'Message deleted';
+    } else if (enc && !text) {
+        // still ciphertext: no key for this room yet, or a different one
+        bubble.classList.add('locked');
+        bubble.textContent = entry.decryptFailed
+            ? '🔒 Can\'t decrypt this message — compare key fingerprints with the sender.'
+            : '🔒 Encrypted message — enter the room passphrase to read it.';
+    } else if (isSystem) {
+        bubble.textContent = text;
+    } else if (action) {
+        // "/me waves" reads as "* alice waves"
+        bubble.classList.add('action');
+        const p = document.createElement('p');
+        p.append(`* ${isYou ? profile.user : author} `);
+        appendInline(p, text);
+        bubble.appendChild(p);
+    } else if (text) {
+        bubble.appendChild(renderRich(text));
+    }
+    if (attachment && !deleted) bubble.appendChild(renderAttachment(entry));
 
     // Assemble
     wrap.appendChild(meta);
     wrap.appendChild(bubble);
-    els.feed.appendChild(wrap);
+    if (status && !deleted) renderStatus(wrap, status);
+    if (canModify(entry)) {
+        if (!attachment) meta.appendChild(toolButton('edit', 'Edit'));
+        meta.appendChild(toolButton('delete', 'Delete'));
+    }
+    return wrap;
+}
+
+function toolButton(action, label) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'msg-tool';
+    btn.dataset.action = action;
+    btn.textContent = label;
+    return btn;
+}
+
+// Local arrival order (timestamps from different clocks, or the same millisecond, don't sort reliably)
+function nextSeq() {
+    lastSeq = Math.max(Date.now() * 1000, lastSeq + 1);
+    return lastSeq;
+}
+
+// Adds a message to the current room (and to IndexedDB, unless it's a system line)
+function appendMessage({
+    author, text, isYou = false, isSystem = false, ts = Date.now(), id = genId(), status = null, attachment = null, progress = null,
+    action = false, encrypted = false, enc = null,
+}) {
+    const entry = {
+        id, room: profile.room, seq: nextSeq(), author, text, isYou, isSystem, ts, status, attachment, progress, action,
+        encrypted: encrypted || Boolean(enc), enc,
+    };
+    const atBottom = isAtBottom();
+    timeline.push(entry);
+    if (!isSystem) saveMessage(entry).catch(() => { });
+
+    // Only render it if the window is showing the newest messages
+    if (windowEnd === timeline.length - 1) {
+        els.feed.appendChild(createBubble(entry));
+        windowEnd++;
+    }
+
+    // Auto-scroll only if the user was already at the bottom (or just sent something)
+    if (atBottom || isYou) {
+        scrollToLatest();
+    } else if (!isSystem) {
+        unseen++;
+        renderPill();
+    }
+    return entry;
+}
+
+function findBubble(id) {
+    return [...els.feed.querySelectorAll('.wrap[data-id]')].find(w => w.dataset.id === id) || null;
+}
+
+function renderStatus(wrap, status, by = '') {
+    const meta = wrap.querySelector('.meta');
+    let state = meta.querySelector('.state');
+    if (!state) {
+        state = document.createElement('span');
+        meta.appendChild(state);
+    }
+    wrap.dataset.status = status;
+    state.className = 'state ' + status;
+    state.textContent = STATUS_LABELS[status];
+    state.title = status[0].toUpperCase() + status.slice(1) + (by ? ` by ${by}` : '');
+
+    meta.querySelector('.retry')?.remove();
+    if (status === 'failed' && canRetry(wrap.dataset.id)) {
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'retry';
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', () => retryMessage(wrap.dataset.id));
+        meta.appendChild(retry);
+    }
+}
+
+function setDelivery(id, status, by) {
+    deliveries.set(id, status);
+    const entry = timeline.find(e => e.id === id);
+    if (entry) entry.status = status;
+    updateMessage(id, { status }).catch(() => { });
+    const wrap = findBubble(id);
+    if (wrap) renderStatus(wrap, status, by);
+}
+
+// Receipts may arrive out of order (or twice); only ever move forward
+function advanceDelivery(id, status, by) {
+    if (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(deliveries.get(id))) setDelivery(id, status, by);
+}
+
+// Only queued text and attachments sent since this page loaded can be sent again
+function canRetry(id) {
+    return uploads.has(id) || outbox.some(f => f.id === id);
+}
+
+function isOwnMessage(id) {
+    return deliveries.has(id) || outbox.some(f => f.id === id);
+}
+
+// ---- Slash commands ----
+const COMMANDS = [
+    { name: 'nick', args: '<name>', help: 'change your display name', run: (arg) => changeNick(arg) },
+    { name: 'join', args: '<room>', help: 'switch to another room', run: (arg) => joinRoom(profile.user, arg) },
+    { name: 'me', args: '<action>', help: 'say what you are doing, e.g. /me waves', run: (arg) => sendMessage(arg, { action: true }) },
+    { name: 'clear', args: '', help: "clear this room's history on this device", run: () => clearHistory() },
+    { name: 'help', args: '', help: 'list the commands', run: () => showHelp() },
+];
+
+async function runCommand(input) {
+    const [, name, arg = ''] = input.match(/^\/(\S*)\s*([\s\S]*)$/);
+    const command = COMMANDS.find(c => c.name === name.toLowerCase());
+    if (!command) {
+        showError(`Unknown command "/${name}". Type /help for the list.`);
+        return;
+    }
+    if (command.args && !arg.trim()) {
+        showError(`Usage: /${command.name} ${command.args}`);
+        return;
+    }
+    els.input.value = '';
+    hideHints();
+    await command.run(arg.trim());
+}
+
+function showHelp() {
+    const lines = COMMANDS.map(c => `/${c.name}${c.args ? ' ' + c.args : ''} — ${c.help}`);
+    lines.push('↑ in an empty box edits your last message; start with // to send a literal "/".');
+    appendSystem(lines.join('\n'));
+}
+
+// Suggestions while the box holds just "/partial-command"
+function commandMatches() {
+    const m = els.input.value.match(/^\/(\w*)$/);
+    return m ? COMMANDS.filter(c => c.name.startsWith(m[1].toLowerCase())) : [];
+}
+
+function renderHints() {
+    const matches = commandMatches();
+    hintIndex = Math.min(hintIndex, Math.max(0, matches.length - 1));
+    els.hints.classList.toggle('hidden', !matches.length);
+    els.input.setAttribute('aria-expanded', String(matches.length > 0));
+    els.hints.replaceChildren(...matches.map((c, i) => {
+        const li = document.createElement('li');
+        li.id = `hint-${c.name}`;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', String(i === hintIndex));
+        li.dataset.name = c.name;
+        const name = document.createElement('strong');
+        name.textContent = `/${c.name}${c.args ? ' ' + c.args : ''}`;
+        li.append(name, ` — ${c.help}`);
+        return li;
+    }));
+    if (matches.length) els.input.setAttribute('aria-activedescendant', `hint-${matches[hintIndex].name}`);
+    else els.input.removeAttribute('aria-activedescendant');
+}
+
+function hideHints() {
+    hintIndex = 0;
+    els.hints.classList.add('hidden');
+    els.input.setAttribute('aria-expanded', 'false');
+    els.input.removeAttribute('aria-activedescendant');
+}
+
+function completeCommand(name) {
+    const command = COMMANDS.find(c => c.name === name);
+    els.input.value = `/${command.name}${command.args ? ' ' : ''}`;
+    hideHints();
+    els.input.focus();
+}
+
+// ---- Editing / deleting your own messages ----
+function canModify(entry) {
+    return entry && entry.isYou && !entry.deleted && Date.now() - entry.ts < EDIT_WINDOW_MS;
+}
+
+function lastEditable() {
+    for (let i = timeline.length - 1; i >= 0; i--) {
+        const entry = timeline[i];
+        if (canModify(entry) && !entry.attachment) return entry;
+    }
+    return null;
+}
+
+function startEdit(id) {
+    const entry = timeline.find(e => e.id === id);
+    if (!canModify(entry) || entry.attachment) return;
+    editingId = id;
+    els.input.value = entry.text;
+    els.form.classList.add('editing');
+    els.editHint.classList.remove('hidden');
+    findBubble(id)?.classList.add('editing');
+    els.input.focus();
+}
+
+function cancelEdit() {
+    if (!editingId) return;
+    findBubble(editingId)?.classList.remove('editing');
+    editingId = null;
+    els.input.value = '';
+    els.form.classList.remove('editing');
+    els.editHint.classList.add('hidden');
+}
+
+async function commitEdit(text) {
+    const id = editingId;
+    const entry = timeline.find(e => e.id === id);
+    cancelEdit();
+    if (!canModify(entry)) {
+        showError('That message can no longer be edited.');
+        return;
+    }
+    if (text === entry.text) return;
+
+    const queued = outbox.find(f => f.id === id);
+    const sealed = queued ? Boolean(queued.enc) : isEncrypted();
+    if (sealed && !roomKeys.has(profile.room)) {
+        showError('Enter the room passphrase to edit encrypted messages.');
+        return;
+    }
+    // Never put on the wire: just change what will be sent
+    if (queued && !queued.sent) {
+        try {
+            if (sealed) queued.enc = await encryptText(queued.room, id, text);
+            else queued.text = text;
+        } catch (err) {
+            showError('Failed to edit: ' + err.message);
+            return;
+        }
+        saveOutbox();
+        applyEdit(id, text, false, queued.enc);
+        return;
+    }
+    if (!queued && (!socket || socket.readyState !== WebSocket.OPEN)) {
+        showError('You are offline — reconnect to edit sent messages.');
+        return;
+    }
+    try {
+        const frame = isEncrypted()
+            ? { type: 'edit', id, enc: await encryptText(profile.room, id, text) }
+            : { type: 'edit', id, text };
+        if (queued) {   // the relay may have it already and would drop the resend: edit once it acks
+            queued.followUp = frame;
+            saveOutbox();
+        } else {
+            await sendFrame(socket, frame);
+        }
+        applyEdit(id, text, true, frame.enc);
+    } catch (err) {
+        showError('Failed to edit: ' + err.message);
+    }
+}
+
+async function deleteMessage(id) {
+    const entry = timeline.find(e => e.id === id);
+    if (!canModify(entry)) {
+        showError('That message can no longer be deleted.');
+        return;
+    }
+    if (!confirm('Delete this message for everyone?')) return;
+    if (editingId === id) cancelEdit();
+
+    const queued = outbox.find(f => f.id === id);
+    if (queued?.sent) {
+        // the relay may have relayed it already: delete for everyone once it acks (a failed one is sent again for that)
+        queued.followUp = { type: 'delete', id };
+        delete queued.failed;
+        saveOutbox();
+        applyDelete(id);
+        if (socket && socket.readyState === WebSocket.OPEN && !reconnecting) flushOutbox(socket).catch(() => { });
+        return;
+    }
+    if (queued) {
+        outbox = outbox.filter(f => f.id !== id);
+        saveOutbox();
+    } else if (!socket || socket.readyState !== WebSocket.OPEN) {
+        showError('You are offline — reconnect to delete sent messages.');
+        return;
+    } else {
+        try {
+            await sendFrame(socket, { type: 'delete', id });
+        } catch (err) {
+            showError('Failed to delete: ' + err.message);
+            return;
+        }
+    }
+    clearTimeout(ackTimers.get(id));
+    ackTimers.delete(id);
+    uploads.delete(id);
+    applyDelete(id);
+}
+
+function refreshBubble(id) {
+    const entry = timeline.find(e => e.id === id);
+    const wrap = findBubble(id);
+    if (entry && wrap) wrap.replaceWith(createBubble(entry));
+}
+
+function applyEdit(id, text, edited, enc = null) {
+    // a plain-text edit (encryption turned off since) replaces the old ciphertext too
+    const sealed = enc ? { enc, encrypted: true } : { enc: null, encrypted: false };
+    const entry = timeline.find(e => e.id === id);
+    if (entry) {
+        entry.text = text;
+        entry.edited = entry.edited || edited;
+        Object.assign(entry, sealed);
+    }
+    updateMessage(id, { text, edited: entry ? entry.edited : edited, ...sealed }).catch(() => { });
+    refreshBubble(id);
+}
+
+function applyDelete(id) {
+    const patch = { text: '', attachment: null, deleted: true, enc: null };
+    const entry = timeline.find(e => e.id === id);
+    if (entry) Object.assign(entry, patch);
+    updateMessage(id, patch).catch(() => { });
+    refreshBubble(id);
+}
+
+// ---- History (IndexedDB: one "messages" store, indexed by room + arrival order) ----
+let dbPromise = null;
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) throw new Error('IndexedDB is not available.');
+            const req = indexedDB.open(DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                const store = req.result.createObjectStore('messages', { keyPath: 'id' });
+                store.createIndex('room_seq', ['room', 'seq']);
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Wraps an IDBRequest in a promise
+function idb(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Encrypted messages go to disk as ciphertext only; their plaintext stays in memory
+function toStored(entry) {
+    return entry.encrypted ? { ...entry, text: '', decryptFailed: false } : entry;
+}
+
+async function saveMessage(entry) {
+    const db = await openDB();
+    await idb(db.transaction('messages', 'readwrite').objectStore('messages').put(toStored(entry)));
+}
+
+async function updateMessage(id, patch) {
+    const db = await openDB();
+    const store = db.transaction('messages', 'readwrite').objectStore('messages');
+    const entry = await idb(store.get(id));
+    if (entry) await idb(store.put(toStored({ ...entry, ...patch })));
+}
+
+// Up to `limit` messages of `room` older than `before` (or the newest ones), oldest first
+async function loadPage(room, before, limit) {
+    const db = await openDB();
+    const range = IDBKeyRange.bound([room], [room, before ? before.seq : Infinity], false, true);
+    const req = db.transaction('messages').objectStore('messages').index('room_seq').openCursor(range, 'prev');
+    const page = [];
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor || page.length >= limit) {
+                resolve(page.reverse());
+                return;
+            }
+            page.push(cursor.value);
+            cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function clearHistory() {
+    const room = profile.room;
+    try {
+        const db = await openDB();
+        const range = IDBKeyRange.bound([room], [room, Infinity]);
+        const req = db.transaction('messages', 'readwrite').objectStore('messages').index('room_seq').openCursor(range);
+        await new Promise((resolve, reject) => {
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) return resolve();
+                cursor.delete();
+                cursor.continue();
+            };
+            req.onerror = () => reject(req.error);
+        });
+    } catch {
+        // nothing stored (or no IndexedDB): clearing the feed is all there is to do
+    }
+    if (room !== profile.room) return;
+    await loadRoom();
+    appendSystem(`History of #${room} cleared on this device.`);
+}
+
+// Restores the last conversation of the current room
+async function loadRoom() {
+    const room = profile.room;
+    timeline = [];
+    windowStart = windowEnd = 0;
+    unseen = 0;
+    renderPill();
+    els.feed.replaceChildren();
+
+    let saved = [];
+    try {
+        saved = await loadPage(room, null, PAGE_SIZE);
+        hasOlder = saved.length === PAGE_SIZE;
+    } catch {
+        hasOlder = false;
+    }
+    if (room !== profile.room) return;
+
+    // The outbox is the source of truth for unsent messages (and all we have without IndexedDB)
+    outbox.filter(f => f.room === room).forEach(f => {
+        const status = f.failed ? 'failed' : 'pending';
+        const entry = saved.find(e => e.id === f.id);
+        if (entry) entry.status = status;
+        else saved.push({ id: f.id, room, seq: f.ts * 1000, author: 'You', text: f.text || '', isYou: true, isSystem: false, ts: f.ts, status, encrypted: Boolean(f.enc), enc: f.enc || null });
+    });
+    saved.forEach(e => {
+        // an upload cut short by a reload can't resume
+        if (e.attachment && e.isYou && (e.status === 'pending' || e.status === 'sending')) e.status = 'failed';
+        if (e.isYou && e.status) deliveries.set(e.id, e.status);
+    });
+
+    timeline = saved.concat(timeline);   // keep anything appended while we were loading
+    renderWindow(Math.max(0, timeline.length - PAGE_SIZE), timeline.length);
+    els.feed.scrollTop = els.feed.scrollHeight;
+    revealLocked();
+}
+
+// ---- Feed window (only a slice of the timeline is in the DOM) ----
+function isAtBottom() {
+    return els.feed.scrollHeight - els.feed.scrollTop - els.feed.clientHeight < EDGE_PX;
+}
+
+function renderWindow(start, end) {
+    windowStart = start;
+    windowEnd = end;
+    els.feed.replaceChildren(...timeline.slice(start, end).map(createBubble));
+}
+
+function renderPill() {
+    els.newPill.classList.toggle('hidden', !unseen);
+    els.newPill.textContent = `${unseen} new message${unseen === 1 ? '' : 's'} ↓`;
+}
 
-    // Auto-scroll
+function scrollToLatest() {
+    if (windowEnd < timeline.length) {
+        renderWindow(Math.max(0, timeline.length - PAGE_SIZE), timeline.length);
+    } else {
+        trimTop();
+    }
     els.feed.scrollTop = els.feed.scrollHeight;
+    unseen = 0;
+    renderPill();
+}
+
+// Drop bubbles far above the viewport without moving what the user is looking at
+function trimTop() {
+    if (windowEnd - windowStart <= MAX_RENDERED) return;
+    const before = els.feed.scrollHeight;
+    while (windowEnd - windowStart > MAX_RENDERED) {
+        els.feed.firstElementChild.remove();
+        windowStart++;
+    }
+    els.feed.scrollTop -= before - els.feed.scrollHeight;
+}
+
+function trimBottom() {
+    while (windowEnd - windowStart > MAX_RENDERED) {
+        els.feed.lastElementChild.remove();
+        windowEnd--;
+    }
+}
+
+async function showOlder() {
+    if (loadingOlder) return;
+    if (windowStart === 0) {
+        if (!hasOlder) return;
+        const room = profile.room;
+        loadingOlder = true;
+        els.feed.setAttribute('aria-busy', 'true');
+        try {
+            const older = await loadPage(room, timeline[0], PAGE_SIZE);
+            if (room !== profile.room) return;
+            hasOlder = older.length === PAGE_SIZE;
+            older.forEach(e => { if (e.isYou && e.status && !deliveries.has(e.id)) deliveries.set(e.id, e.status); });
+            timeline.unshift(...older);
+            windowStart += older.length;
+            windowEnd += older.length;
+            revealLocked(older);
+        } catch {
+            hasOlder = false;
+        } finally {
+            loadingOlder = false;
+            els.feed.setAttribute('aria-busy', 'false');
+        }
+    }
+
+    const start = Math.max(0, windowStart - PAGE_SIZE);
+    if (start === windowStart) return;
+    const before = els.feed.scrollHeight;
+    els.feed.prepend(...timeline.slice(start, windowStart).map(createBubble));
+    windowStart = start;
+    els.feed.scrollTop += els.feed.scrollHeight - before;   // keep the viewport steady
+    trimBottom();
+}
+
+function showNewer() {
+    if (windowEnd < timeline.length) {
+        const end = Math.min(timeline.length, windowEnd + PAGE_SIZE);
+        els.feed.append(...timeline.slice(windowEnd, end).map(createBubble));
+        windowEnd = end;
+        trimTop();
+    }
+    if (windowEnd === timeline.length && unseen) {
+        unseen = 0;
+        renderPill();
+    }
+}
+
+// ---- Outbox (survives reloads; flushed in order once connected) ----
+function loadOutbox() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OUTBOX_KEY));
+        // older versions queued encrypted rooms' messages in clear: never send those unencrypted
+        return Array.isArray(saved) ? saved.filter(f => !f.e2e) : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveOutbox() {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+}
+
+// Messages only go to the room they were typed in; others wait until we are back there.
+// A frame stays in the outbox until the server acks it, so a dropped connection resends it
+// (the relay ignores ids it has already seen).
+async function drainOutbox(ws) {
+    while (ws.readyState === WebSocket.OPEN && inRoom) {
+        const frame = outbox.find(f => f.room === profile.room && !f.failed && !ackTimers.has(f.id));
+        if (!frame) return;
+        await sendFrame(ws, frame);
+        if (!frame.sent) {
+            frame.sent = true;   // from now on edits and deletes have to reach the relay too
+            saveOutbox();
+        }
+        setDelivery(frame.id, 'sending');
+        ackTimers.set(frame.id, setTimeout(() => failMessage(frame.id), ACK_TIMEOUT_MS));
+    }
+}
+
+function flushOutbox(ws) {
+    if (!flushing) flushing = drainOutbox(ws).finally(() => { flushing = null; });
+    return flushing;
+}
+
+function ackMessage(id) {
+    clearTimeout(ackTimers.get(id));
+    ackTimers.delete(id);
+    const frame = outbox.find(f => f.id === id);
+    outbox = outbox.filter(f => f.id !== id);
+    saveOutbox();
+    if (frame?.followUp) sendFollowUp(frame.followUp);
+    uploads.delete(id);
+    if (deliveries.get(id) === 'failed') deliveries.delete(id);  // a late ack still counts
+    advanceDelivery(id, 'sent');
+}
+
+// An edit or delete made while the message was waiting for its ack
+async function sendFollowUp(frame) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    try {
+        await sendFrame(socket, frame);
+    } catch (err) {
+        showError(`Failed to ${frame.type} the message: ${err.message}`);
+    }
+}
+
+function failMessage(id) {
+    ackTimers.delete(id);
+    const frame = outbox.find(f => f.id === id);
+    if (frame) {
+        frame.failed = true;
+        saveOutbox();
+    } else if (!uploads.has(id)) {
+        return;
+    }
+    setDelivery(id, 'failed');
+}
+
+async function retryMessage(id) {
+    if (uploads.has(id)) {
+        setProgress(id, 0);
+        await uploadFile(id);
+        return;
+    }
+    const frame = outbox.find(f => f.id === id);
+    if (!frame) return;
+    delete frame.failed;
+    saveOutbox();
+    setDelivery(id, 'pending');
+    if (reconnecting) return;
+    try {
+        await flushOutbox(await connectWS());
+    } catch (err) {
+        showError('Failed to send: ' + err.message + ' (message kept, will retry)');
+        scheduleReconnect();
+    }
 }
 
+// Messages still waiting for an ack go back to pending and are resent after reconnecting;
+// attachments aren't queued, so they fail and wait for a manual retry
+function resetInFlight() {
+    ackTimers.forEach((timer, id) => {
+        clearTimeout(timer);
+        setDelivery(id, uploads.has(id) ? 'failed' : 'pending');
+    });
+    ackTimers.clear();
+}
+
+// ---- Receipts for other people's messages ----
+function sendReceipt(id, status) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    sendFrame(socket, { type: 'receipt', id, status }).catch(() => { });
+}
+
+function sendReadReceipts() {
+    if (document.visibilityState !== 'visible' || !unread.length) return;
+    unread.forEach(id => sendReceipt(id, 'read'));
+    unread = [];
+}
+
+function acknowledgeReceived(id) {
+    sendReceipt(id, 'delivered');
+    unread.push(id);
+    sendReadReceipts();
+}
+
+// ---- Attachments (sent as chunked base64 "file" frames) ----
+function fmtSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(data) {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// One object URL per blob, however often its bubble is re-rendered
+const objectUrls = new WeakMap();
+function objectUrl(blob) {
+    if (!objectUrls.has(blob)) objectUrls.set(blob, URL.createObjectURL(blob));
+    return objectUrls.get(blob);
+}
+
+function renderAttachment(entry) {
+    const { name, mime, size, blob } = entry.attachment;
+    const box = document.createElement('div');
+    box.className = 'attachment';
+
+    if (blob && PREVIEW_TYPES.includes(mime)) {
+        const img = document.createElement('img');
+        img.src = objectUrl(blob);
+        img.alt = name;
+        img.loading = 'lazy';
+        const open = document.createElement('a');
+        open.href = img.src;
+        open.target = '_blank';
+        open.rel = 'noopener';
+        open.appendChild(img);
+        box.appendChild(open);
+    }
+
+    const label = document.createElement(blob ? 'a' : 'span');
+    label.className = 'file';
+    label.textContent = `📎 ${name} (${fmtSize(size)})`;
+    if (blob) {
+        label.href = objectUrl(blob);
+        label.download = name;
+    }
+    box.appendChild(label);
+
+    const transferring = uploads.has(entry.id) || incoming.has(entry.id);
+    if (transferring && entry.progress != null && entry.progress < 1) {
+        const bar = document.createElement('progress');
+        bar.max = 1;
+        bar.value = entry.progress;
+        box.appendChild(bar);
+    } else if (!blob) {
+        label.textContent += entry.attachment.failed ? ' — transfer failed' : ' — not available';
+    }
+    return box;
+}
+
+// Re-renders the attachment part of a bubble (progress, or the finished file)
+function refreshAttachment(id) {
+    const entry = timeline.find(e => e.id === id);
+    const box = findBubble(id)?.querySelector('.attachment');
+    if (entry && box) box.replaceWith(renderAttachment(entry));
+}
+
+function setProgress(id, progress) {
+    const entry = timeline.find(e => e.id === id);
+    if (!entry) return;
+    entry.progress = progress;
+    const bar = findBubble(id)?.querySelector('.attachment progress');
+    if (bar && progress < 1) bar.value = progress;
+    else refreshAttachment(id);
+}
+
+async function attachFile(file) {
+    if (isEncrypted()) {
+        showError('Attachments aren\'t end-to-end encrypted, so they\'re off in encrypted rooms.');
+        return;
+    }
+    if (!file.size || file.size > MAX_FILE_BYTES) {
+        showError(`"${file.name}" can't be sent: attachments must be between 1 byte and ${fmtSize(MAX_FILE_BYTES)}.`);
+        return;
+    }
+    const id = genId();
+    const attachment = { name: file.name, mime: file.type || 'application/octet-stream', size: file.size, blob: file };
+    uploads.set(id, file);
+    deliveries.set(id, 'pending');
+    appendMessage({ author: 'You', text: '', isYou: true, id, status: 'pending', attachment, progress: 0 });
+    await uploadFile(id);
+}
+
+// Waits for the socket to drain so progress reflects what actually left the browser
+async function drained(ws) {
+    while (ws.readyState === WebSocket.OPEN && ws.bufferedAmount > CHUNK_BYTES * 4) {
+        await new Promise(r => setTimeout(r, 50));
+    }
+    if (ws.readyState !== WebSocket.OPEN) throw new Error('Connection closed.');
+}
+
+async function uploadFile(id) {
+    const file = uploads.get(id);
+    const entry = timeline.find(e => e.id === id);
+    const room = entry ? entry.room : profile.room;
+    const mime = file.type || 'application/octet-stream';
+    const count = Math.ceil(file.size / CHUNK_BYTES);
+    try {
+        const ws = await connectWS();
+        setDelivery(id, 'sending');
+        for (let index = 0; index < count; index++) {
+            const chunk = file.slice(index * CHUNK_BYTES, (index + 1) * CHUNK_BYTES);
+            const data = toBase64(await chunk.arrayBuffer());
+            await sendFrame(ws, { type: 'file', id, room, name: file.name, mime, size: file.size, index, count, data });
+            await drained(ws);
+            setProgress(id, (index + 1) / count);
+        }
+        ackTimers.set(id, setTimeout(() => failMessage(id), ACK_TIMEOUT_MS));
+    } catch (err) {
+        showError(`Failed to send "${file.name}": ${err.message}`);
+        setDelivery(id, 'failed');
+        if (!socket) scheduleReconnect();
+    }
+}
+
+function receiveChunk(frame) {
+    const { id, index, count } = frame;
+    // an echo server bounces our own chunks back: the last one counts as the ack
+    if (isOwnMessage(id)) {
+        if (index === count - 1) ackMessage(id);
+        return;
+    }
+    if (frame.room !== profile.room) return;
+
+    let file = incoming.get(id);
+    if (!file) {
+        if (timeline.some(e => e.id === id)) return;   // already have it
+        if (index !== 0) return;   // the rest of a transfer we missed the start of, or dropped
+        file = { parts: [], received: 0, user: frame.user, timer: null };
+        incoming.set(id, file);
+        if (frame.user) setTyping(frame.user, false);
+        const attachment = { name: String(frame.name), mime: String(frame.mime), size: frame.size };
+        appendMessage({ author: frame.user || 'Server', text: '', ts: frame.ts, id, attachment, progress: 0 });
+        if (frame.user) alertIncoming(frame.user, `📎 ${attachment.name}`);
+    }
+    const entry = timeline.find(e => e.id === id);
+    if (!entry) {   // cleared with /clear or the room changed while it was arriving
+        clearTimeout(file.timer);
+        incoming.delete(id);
+        return;
+    }
+    if (!file.parts[index]) {
+        try {
+            file.parts[index] = fromBase64(frame.data);
+        } catch {
+            failIncoming(id);
+            return;
+        }
+        file.received++;
+    }
+    clearTimeout(file.timer);
+    if (file.received < count) {
+        file.timer = setTimeout(() => failIncoming(id), INCOMING_TIMEOUT_MS);
+        setProgress(id, file.received / count);
+        return;
+    }
+
+    incoming.delete(id);
+    const blob = new Blob(file.parts, { type: entry.attachment.mime });
+    if (blob.size === entry.attachment.size) entry.attachment.blob = blob;
+    entry.progress = null;
+    updateMessage(id, { attachment: entry.attachment, progress: null }).catch(() => { });
+    refreshAttachment(id);
+    if (frame.user) acknowledgeReceived(id);
+}
+
+// Gives up on an attachment that went quiet, broke, or whose sender left; later chunks are ignored
+function failIncoming(id) {
+    const file = incoming.get(id);
+    if (!file) return;
+    clearTimeout(file.timer);
+    incoming.delete(id);
+    const entry = timeline.find(e => e.id === id);
+    if (!entry) return;
+    entry.attachment.failed = true;
+    entry.progress = null;
+    updateMessage(id, { attachment: entry.attachment, progress: null }).catch(() => { });
+    refreshAttachment(id);
+}
+
+// ---- End-to-end encryption (optional, per room) ----
+// Everyone in the room enters the same passphrase; PBKDF2 turns it into an AES-GCM key, so the
+// relay only ever sees { iv, data }. Keys and decrypted text live in memory (history is stored as
+// ciphertext): after a reload the room asks again.
+const decoder = new TextDecoder();
+
+function loadE2eRooms() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(E2E_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveE2eRooms() {
+    localStorage.setItem(E2E_KEY, JSON.stringify(e2eRooms));
+}
+
+function isEncrypted(room = profile.room) {
+    return e2eRooms.includes(room);
+}
+
+async function deriveRoomKey(room, passphrase) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    // The room id is the salt: everyone in the room has to arrive at the same key
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`tiny-chat:${room}`), iterations: E2E_ITERATIONS },
+        material,
+        256,
+    );
+    const key = await crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+    // Fingerprint: a hash of the key (not the key itself) short enough to read out to each other
+    const tagged = new Uint8Array([...encoder.encode('tiny-chat fingerprint:'), ...new Uint8Array(bits)]);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', tagged));
+    const hex = [...digest.slice(0, 8)].map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    return { key, fingerprint: hex.match(/.{4}/g).join(' ') };
+}
+
+function roomKey(room) {
+    const keyed = roomKeys.get(room);
+    if (!keyed) throw new Error(`No passphrase for #${room}.`);
+    return keyed.key;
+}
+
+// Room and message id go in as additional data, so a ciphertext can't be replayed as another message
+function additionalData(room, id) {
+    return encoder.encode(`${room}:${id}`);
+}
+
+async function encryptText(room, id, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: additionalData(room, id) }, roomKey(room), encoder.encode(text),
+    );
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptText(room, id, enc) {
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(enc.iv), additionalData: additionalData(room, id) }, roomKey(room), fromBase64(enc.data),
+    );
+    return decoder.decode(plain);
+}
+
+// Decrypt a locked timeline entry in memory (it stays locked if the key is missing or wrong)
+async function reveal(entry) {
+    const { enc } = entry;
+    if (!enc || entry.text || !roomKeys.has(entry.room)) return;
+    try {
+        const text = await decryptText(entry.room, entry.id, enc);
+        if (entry.enc !== enc) return;   // edited again meanwhile
+        Object.assign(entry, { text, decryptFailed: false });
+    } catch {
+        entry.decryptFailed = true;
+    }
+    refreshBubble(entry.id);
+}
+
+function revealLocked(entries = timeline) {
+    entries.filter(e => e.enc && !e.text).forEach(reveal);
+}
+
+async function applyEncryptedEdit(id, enc) {
+    const room = profile.room;
+    try {
+        applyEdit(id, await decryptText(room, id, enc), true, enc);
+        return;
+    } catch {
+        // no key or a different one: keep the ciphertext until the right passphrase is entered
+    }
+    const patch = { text: '', enc, encrypted: true, edited: true };
+    const entry = timeline.find(e => e.id === id);
+    if (entry) Object.assign(entry, patch, { decryptFailed: roomKeys.has(room) });
+    updateMessage(id, patch).catch(() => { });
+    refreshBubble(id);
+}
+
+function renderE2e() {
+    const on = isEncrypted();
+    const keyed = roomKeys.get(profile.room);
+    els.e2eBtn.setAttribute('aria-pressed', String(on));
+    els.e2eBtn.textContent = on ? '🔒 Encrypted' : '🔒 Encrypt';
+    els.e2eOffBtn.classList.toggle('hidden', !on);
+    els.e2eStatus.classList.toggle('hidden', !on);
+    els.e2eStatus.classList.toggle('warn', on && !keyed);
+    els.e2eStatus.textContent = keyed
+        ? `🔒 End-to-end encrypted · key fingerprint ${keyed.fingerprint} — check that everyone sees the same.`
+        : `🔒 #${profile.room} is encrypted — enter the passphrase to read and send messages.`;
+    els.attachBtn.disabled = on;
+    if (on && !keyed) els.e2eForm.classList.remove('hidden');
+}
+
+function setE2eMsg(text) {
+    els.e2eMsg.textContent = text;
+    els.e2eMsg.classList.toggle('hidden', !text);
+}
+
+async function enableE2e(passphrase) {
+    const room = profile.room;
+    if (!window.crypto || !crypto.subtle) {
+        setE2eMsg('Encryption needs a secure page (https:// or localhost).');
+        return;
+    }
+    if (passphrase.length < 8) {
+        setE2eMsg('Use a passphrase of at least 8 characters.');
+        return;
+    }
+    setE2eMsg('Deriving key…');
+    let keyed;
+    try {
+        keyed = await deriveRoomKey(room, passphrase);
+    } catch (err) {
+        setE2eMsg('Could not derive a key: ' + err.message);
+        return;
+    }
+    roomKeys.set(room, keyed);
+    if (!isEncrypted(room)) {
+        e2eRooms.push(room);
+        saveE2eRooms();
+    }
+    setE2eMsg('');
+    els.e2ePass.value = '';
+    els.e2eForm.classList.add('hidden');
+    if (room !== profile.room) return;
+
+    renderE2e();
+    appendSystem(`End-to-end encryption is on for #${room}. Key fingerprint: ${keyed.fingerprint}.`);
+    timeline.forEach(e => { if (e.enc && !e.text) e.decryptFailed = false; });
+    revealLocked();
+}
+
+function disableE2e() {
+    const room = profile.room;
+    if (!confirm(`Turn off end-to-end encryption for #${room}? New messages will be sent in plain text.`)) return;
+    e2eRooms = e2eRooms.filter(r => r !== room);
+    saveE2eRooms();
+    roomKeys.delete(room);
+    setE2eMsg('');
+    els.e2eForm.classList.add('hidden');
+    renderE2e();
+    appendSystem(`End-to-end encryption is off for #${room}.`);
+}
+
+// ---- Server setting ----
+// Accepts ws:// or wss:// URLs only; returns the normalised URL or throws with a readable message
+function validateServerUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch {
+        throw new Error('Enter a full URL, e.g. ws://localhost:8080');
+    }
+    if (url.protocol !== 'ws:' && url.protocol !== 'wss:') throw new Error('The URL must start with ws:// or wss://');
+    if (location.protocol === 'https:' && url.protocol === 'ws:') {
+        throw new Error('This page is served over https, so the browser only allows wss:// servers.');
+    }
+    return url.href;
+}
+
+// ?ws=<url> wins for this visit, then the saved setting, then the local relay
+function readServerUrl() {
+    const candidates = [new URLSearchParams(location.search).get('ws'), localStorage.getItem(SERVER_KEY)];
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            return validateServerUrl(candidate);
+        } catch {
+            // ignore a bad value and fall through
+        }
+    }
+    return DEFAULT_WS_URL;
+}
+
+// Drops the current connection (without auto-reconnecting) and connects to `url`
+async function switchServer(url) {
+    wsUrl = url;
+    logDiag('server', `switched to ${url}`);
+    if (connecting) await connecting.catch(() => { });
+    const old = socket;
+    manualClose = true;
+    if (old) {
+        handleDisconnect(old, 'switching server');
+        old.close(1000, 'Switching server');
+    }
+    reconnecting = false;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    try { await connectWS(); } catch (_) { scheduleReconnect(); }
+}
+
+// ---- Diagnostics ----
+const CLOSE_CODES = {
+    1000: 'normal closure',
+    1001: 'going away',
+    1002: 'protocol error',
+    1003: 'unsupported data',
+    1005: 'no status code',
+    1006: 'abnormal closure — no close frame (server down or network lost)',
+    1007: 'invalid payload',
+    1008: 'policy violation',
+    1009: 'message too big',
+    1011: 'server error',
+    1012: 'service restart',
+    1013: 'try again later',
+    1015: 'TLS handshake failed',
+    4000: 'heartbeat timeout',
+};
+
+const encoder = new TextEncoder();
+const diag = { events: [], closes: [], rtts: [], reconnects: 0, bytesSent: 0, bytesReceived: 0 };
+let diagFrame = 0;
+
+function describeClose(code, reason) {
+    return `${code} ${reason || CLOSE_CODES[code] || 'unknown'}`;
+}
+
+function logDiag(state, detail = '') {
+    diag.events.push({ ts: Date.now(), state, detail });
+    if (diag.events.length > DIAG_LIMIT) diag.events.shift();
+    scheduleDiagnostics();
+}
+
+function recordRtt(sentAt) {
+    if (typeof sentAt !== 'number') return;
+    diag.rtts.push(Date.now() - sentAt);
+    if (diag.rtts.length > 10) diag.rtts.shift();
+    scheduleDiagnostics();
+}
+
+// Byte counters change on every frame; redraw at most once per animation frame
+function scheduleDiagnostics() {
+    if (diagFrame || els.settingsPanel.classList.contains('hidden')) return;
+    diagFrame = requestAnimationFrame(() => {
+        diagFrame = 0;
+        renderDiagnostics();
+    });
+}
+
+function fmtClock(ts) {
+    return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function renderDiagnostics() {
+    const states = ['connecting', 'open', 'closing', 'closed'];
+    const last = diag.rtts[diag.rtts.length - 1];
+    const avg = diag.rtts.length ? Math.round(diag.rtts.reduce((a, b) => a + b, 0) / diag.rtts.length) : null;
+    const stats = [
+        ['Server', wsUrl],
+        ['State', socket ? states[socket.readyState] : reconnecting ? `reconnecting (attempt ${reconnectAttempt})` : 'closed'],
+        ['Latency', last == null ? '—' : `${last} ms (avg ${avg} ms over ${diag.rtts.length})`],
+        ['Reconnect attempts', String(diag.reconnects)],
+        ['Sent', fmtSize(diag.bytesSent)],
+        ['Received', fmtSize(diag.bytesReceived)],
+    ];
+    els.diagStats.replaceChildren(...stats.flatMap(([label, value]) => {
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = label;
+        dd.textContent = value;
+        return [dt, dd];
+    }));
+
+    const line = (ts, textValue) => {
+        const li = document.createElement('li');
+        const time = document.createElement('time');
+        time.textContent = fmtClock(ts);
+        li.append(time, ` ${textValue}`);
+        return li;
+    };
+    els.diagCloses.replaceChildren(...diag.closes.slice().reverse()
+        .map(c => line(c.ts, `${describeClose(c.code, c.reason)}${c.wasClean ? '' : ' (not clean)'}`)));
+    if (!diag.closes.length) els.diagCloses.append(line(Date.now(), 'No closes yet.'));
+    els.diagEvents.replaceChildren(...diag.events.slice().reverse()
+        .map(e => line(e.ts, e.detail ? `${e.state} — ${e.detail}` : e.state)));
+}
+
+// ---- Socket helpers ----
 // Promise that resolves when WebSocket fires "open"
 function waitForOpen(ws) {
     return new Promise((resolve, reject) => {
         const onOpen = () => { cleanup(); resolve(ws); };
-        const onError = (e) => { cleanup(); reject(new Error('WebSocket error while connecting.')); };
-        const onClose = () => { cleanup(); reject(new Error('WebSocket closed before opening.')); };
+        // "error" carries no details; the "close" that always follows has the code
+        const onError = () => { };
+        const onClose = (e) => {
+            cleanup();
+            reject(new Error(`Could not connect to ${ws.url} (${describeClose(e.code, e.reason)}).`));
+        };
         function cleanup() {
             ws.removeEventListener('open', onOpen);
             ws.removeEventListener('error', onError);
@@ -89,11 +1708,28 @@ function waitForOpen(ws) {
     });
 }
 
+// Every protocol frame is a JSON object with a "type"
+function sendFrame(ws, frame) {
+    return sendText(ws, JSON.stringify(frame));
+}
+
+// Returns null for frames that are not protocol JSON (e.g. from a plain echo server)
+function parseFrame(data) {
+    try {
+        const frame = JSON.parse(data);
+        return frame && typeof frame.type === 'string' ? frame : null;
+    } catch {
+        return null;
+    }
+}
+
 // Send text over ws (returns a Promise to show async usage)
 function sendText(ws, text) {
     return new Promise((resolve, reject) => {
         try {
             ws.send(text);
+            diag.bytesSent += encoder.encode(text).length;
+            scheduleDiagnostics();
             resolve(true);
         } catch (err) {
             reject(err);
@@ -101,80 +1737,343 @@ function sendText(ws, text) {
     });
 }
 
+// ---- Heartbeat ----
+// Any frame counts as a sign of life; the relay answers "ping" with "pong", echo servers echo it.
+function startHeartbeat(ws) {
+    stopHeartbeat();
+    heartbeatTimer = setInterval(() => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        sendFrame(ws, { type: 'ping', ts: Date.now() }).catch(() => { });
+        if (!heartbeatDeadline) {
+            heartbeatDeadline = setTimeout(() => {
+                logDiag('heartbeat', `no reply within ${HEARTBEAT_TIMEOUT_MS / 1000}s`);
+                handleDisconnect(ws, 'no heartbeat reply');
+                ws.close(4000, 'Heartbeat timeout');
+            }, HEARTBEAT_TIMEOUT_MS);
+        }
+    }, HEARTBEAT_MS);
+}
+
+function markAlive() {
+    clearTimeout(heartbeatDeadline);
+    heartbeatDeadline = null;
+}
+
+function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    markAlive();
+}
+
 // ---- Core async flows ----
+async function openSocket() {
+    logDiag('connecting', wsUrl);
+    const ws = new WebSocket(wsUrl);
+    await waitForOpen(ws);                    // <-- async/await + promise
+    socket = ws;
+    wireSocketEvents(ws);                     // listen to messages/close
+    reconnecting = false;
+    reconnectAttempt = 0;
+    setStatus(true);
+    logDiag('open', ws.url);
+
+    appendSystem(`Connected to ${wsUrl}.`);
+    await sendFrame(ws, { type: 'join', room: profile.room, user: profile.user, client: clientId });
+    inRoom = true;
+    await sendFrame(ws, { type: 'ping', ts: Date.now() });   // first latency sample
+    startHeartbeat(ws);
+    await flushOutbox(ws);
+    return ws;
+}
+
 async function connectWS() {
-    // If already connected, return existing socket
+    // If already connected (or connecting), reuse that
     if (socket && socket.readyState === WebSocket.OPEN) return socket;
+    if (connecting) return connecting;
 
+    manualClose = false;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
     hideError();
     try {
-        socket = new WebSocket(WS_URL);
-        await waitForOpen(socket);                // <-- async/await + promise
-        wireSocketEvents(socket);                 // listen to messages/close
-        setStatus(true);
-
-        // The echo server sends a hello "connected" message on first connect
-        appendMessage({ author: 'Server', text: 'Connected to echo server.' });
-        return socket;
+        connecting = openSocket();
+        return await connecting;
     } catch (err) {
         setStatus(false);
         showError(err.message);
+        logDiag('failed', err.message);
         throw err;
+    } finally {
+        connecting = null;
     }
 }
 
-function wireSocketEvents(ws) {
-    ws.addEventListener('message', (event) => {
-        // echo server can send pings or string payloads
-        const text = typeof event.data === 'string' ? event.data : '[binary]';
-        appendMessage({ author: 'Server', text });
-    });
-
-    ws.addEventListener('close', () => {
+// Called once per socket, from "close" or a heartbeat timeout
+function handleDisconnect(ws, reason) {
+    if (ws !== socket) return;
+    socket = null;
+    stopHeartbeat();
+    resetInFlight();
+    typingSentAt = 0;
+    members = [];
+    clearTyping();
+    renderRoomInfo();
+    logDiag('closed', reason);
+    if (manualClose) {
         setStatus(false);
-        if (!reconnecting) {
-            appendMessage({ author: 'System', text: 'Connection closed.' });
-        }
-    });
+        appendSystem('Connection closed.');
+        return;
+    }
+    appendSystem(`Connection lost${reason ? ` (${reason})` : ''}. Reconnecting…`);
+    scheduleReconnect();
+}
 
-    ws.addEventListener('error', () => {
-        showError('WebSocket error occurred.');
-    });
+// Exponential backoff with jitter, so many clients don't retry in lockstep; retries never give up.
+function nextDelay(attempt) {
+    const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
 }
 
-// Optional: a gentle auto-reconnect demo (promise + async/await)
-async function attemptReconnect(maxRetries = 3) {
+function scheduleReconnect() {
+    if (manualClose || reconnectTimer) return;
     reconnecting = true;
-    let delay = 600;
-    for (let i = 0; i < maxRetries; i++) {
-        appendMessage({ author: 'System', text: `Reconnecting… (try ${i + 1}/${maxRetries})` });
+    const delay = nextDelay(reconnectAttempt++);
+    setStatus(false, `Reconnecting in ${Math.ceil(delay / 1000)}s… (attempt ${reconnectAttempt})`);
+    logDiag('reconnecting', `attempt ${reconnectAttempt} in ${(delay / 1000).toFixed(1)}s`);
+    reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+        diag.reconnects++;
+        setStatus(false, `Reconnecting… (attempt ${reconnectAttempt})`);
         try {
-            await new Promise(r => setTimeout(r, delay));
             await connectWS();
-            reconnecting = false;
-            appendMessage({ author: 'System', text: 'Reconnected ✅' });
-            return true;
+            appendSystem('Reconnected ✅');
         } catch {
-            delay *= 1.6; // backoff
+            scheduleReconnect();
         }
+    }, delay);
+}
+
+function handleFrame(frame) {
+    switch (frame.type) {
+        case 'ping':   // an echo server returning our own ping
+        case 'pong':
+            recordRtt(frame.ts);
+            break;
+        case 'message':
+            // an echo server bounces our own frame back: that's as good as an ack
+            if (isOwnMessage(frame.id)) {
+                ackMessage(frame.id);
+                return;
+            }
+            if (frame.room !== profile.room) return;
+            if (frame.user) setTyping(frame.user, false);
+            if (frame.enc) {
+                // shown locked right away (keeps arrival order), then decrypted in place
+                reveal(appendMessage({ author: frame.user, text: '', ts: frame.ts, id: frame.id, action: frame.action === true, enc: frame.enc }));
+            } else {
+                appendMessage({ author: frame.user || 'Server', text: frame.text, ts: frame.ts, id: frame.id, action: frame.action === true });
+            }
+            if (frame.id && frame.user) {
+                acknowledgeReceived(frame.id);
+                const preview = frame.enc ? '🔒 Encrypted message' : frame.text;
+                alertIncoming(frame.user, frame.action && !frame.enc ? `* ${frame.user} ${preview}` : preview);
+            }
+            break;
+        case 'edit':
+            if (frame.room !== profile.room) return;
+            if (frame.enc) applyEncryptedEdit(frame.id, frame.enc);
+            else if (typeof frame.text === 'string') applyEdit(frame.id, frame.text, true);
+            break;
+        case 'delete':
+            if (frame.room !== profile.room) return;
+            applyDelete(frame.id);
+            break;
+        case 'nick':
+            if (frame.room !== profile.room) return;
+            setTyping(frame.from, false);
+            appendSystem(`${frame.from} is now known as ${frame.user}.`);
+            break;
+        case 'file':
+            receiveChunk(frame);
+            break;
+        case 'ack':
+            ackMessage(frame.id);
+            break;
+        case 'receipt':
+            if (!deliveries.has(frame.id)) return;
+            if (ackTimers.has(frame.id)) ackMessage(frame.id);   // a receipt implies the server had it
+            advanceDelivery(frame.id, frame.status, frame.user);
+            break;
+        case 'join':
+            if (frame.user !== profile.user) appendSystem(`${frame.user} joined #${frame.room}.`);
+            else if (frame.room === profile.room && socket) flushOutbox(socket).catch(() => { });
+            break;
+        case 'leave':
+            setTyping(frame.user, false);
+            if (frame.room === profile.room) incoming.forEach((file, id) => { if (file.user === frame.user) failIncoming(id); });
+            appendSystem(`${frame.user} left #${frame.room}.`);
+            break;
+        case 'typing':
+            if (!frame.user || frame.user === profile.user || frame.room !== profile.room) return;
+            setTyping(frame.user, Boolean(frame.typing));
+            break;
+        case 'presence':
+            if (frame.room !== profile.room) return;
+            members = Array.isArray(frame.users) ? frame.users : [];
+            renderRoomInfo();
+            break;
+        case 'error':
+            showError(frame.message);
+            if (frame.code === 'name-taken') keepNick(frame.user);
+            break;
     }
-    reconnecting = false;
-    showError('Could not reconnect. Check your internet or try again later.');
-    return false;
+}
+
+function wireSocketEvents(ws) {
+    ws.addEventListener('message', (event) => {
+        markAlive();
+        diag.bytesReceived += typeof event.data === 'string' ? encoder.encode(event.data).length : event.data.size;
+        scheduleDiagnostics();
+        if (typeof event.data !== 'string') {
+            // not our protocol (we send files as "file" frames), but still offer it as a download
+            const blob = event.data;
+            const attachment = { name: 'binary-message.bin', mime: blob.type || 'application/octet-stream', size: blob.size, blob };
+            appendMessage({ author: 'Server', text: '', attachment });
+            return;
+        }
+        const frame = parseFrame(event.data);
+        if (frame) handleFrame(frame);
+        else appendMessage({ author: 'Server', text: event.data }); // not our protocol: show as-is
+    });
+
+    ws.addEventListener('close', (event) => {
+        diag.closes.push({ ts: Date.now(), code: event.code, reason: event.reason, wasClean: event.wasClean });
+        if (diag.closes.length > 10) diag.closes.shift();
+        handleDisconnect(ws, describeClose(event.code, event.reason));
+    });
+
+    ws.addEventListener('error', () => {
+        logDiag('error', 'the socket reported an error');
+        showError(`Connection problem with ${wsUrl} — open Settings for diagnostics.`);
+    });
 }
 
 // ---- UI Handlers ----
 els.connectBtn.addEventListener('click', async () => {
-    try { await connectWS(); } catch (_) { }
+    try { await connectWS(); } catch (_) { scheduleReconnect(); }
 });
 
 els.disconnectBtn.addEventListener('click', () => {
     hideError();
+    manualClose = true;
+    reconnecting = false;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    logDiag('disconnect', 'requested by you');
     if (socket && socket.readyState === WebSocket.OPEN) {
         socket.close(1000, 'Client disconnect');
+    } else {
+        setStatus(false);
     }
 });
 
+async function sendMessage(text, { action = false } = {}) {
+    if (isEncrypted() && !roomKeys.has(profile.room)) {
+        // nothing is queued in clear: the draft goes back in the box until the passphrase is in
+        els.input.value = action ? `/me ${text}` : text.startsWith('/') ? `/${text}` : text;
+        showError(`#${profile.room} is encrypted — enter its passphrase to send.`);
+        els.e2ePass.focus();
+        return;
+    }
+    // Queue first: the outbox is what actually gets sent, now or after a reconnect
+    const frame = { type: 'message', id: genId(), room: profile.room, ts: Date.now() };
+    if (action) frame.action = true;
+    if (isEncrypted()) frame.enc = await encryptText(frame.room, frame.id, text);   // the outbox only ever holds ciphertext
+    else frame.text = text;
+    outbox.push(frame);
+    saveOutbox();
+    deliveries.set(frame.id, 'pending');
+    appendMessage({ author: 'You', text, isYou: true, ts: frame.ts, id: frame.id, status: 'pending', action, enc: frame.enc });
+
+    if (reconnecting) return;             // flushed by connectWS once the socket is back
+    try {
+        const ws = await connectWS();     // ensure connection (async/await)
+        await flushOutbox(ws);            // send asynchronously (promise), in order
+    } catch (err) {
+        showError('Failed to send: ' + err.message + ' (message kept, will retry)');
+        scheduleReconnect();
+    }
+}
+
+function cleanUser(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').slice(0, 32);
+}
+
+async function changeNick(value) {
+    const user = cleanUser(value);
+    if (!user || user === profile.user) return;
+    profile.user = user;
+    localStorage.setItem('tc.user', user);
+    els.userName.value = user;
+    renderRoomInfo();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        try {
+            // a refused join left us outside the room: this name gets another try at joining
+            await sendFrame(socket, inRoom ? { type: 'nick', user } : { type: 'join', room: profile.room, user, client: clientId });
+            inRoom = true;   // the outbox waits for the relay to echo our join
+        } catch (err) {
+            showError('Failed to change name: ' + err.message);
+        }
+    }
+    appendSystem(`You are now known as ${user}.`);
+}
+
+// The server refused a new name: go back to the one it still knows us by,
+// or (refused on joining, so it knows us by none) wait outside the room for another one
+function keepNick(user) {
+    if (!user) {
+        inRoom = false;
+        appendSystem(`You are not in #${profile.room} yet — pick another name with /nick.`);
+        return;
+    }
+    if (user === profile.user) return;
+    profile.user = user;
+    localStorage.setItem('tc.user', user);
+    els.userName.value = user;
+    renderRoomInfo();
+    appendSystem(`You are still known as ${user}.`);
+}
+
+async function joinRoom(user, roomName) {
+    const room = cleanRoom(roomName);
+    if (room === profile.room && user !== profile.user) {
+        await changeNick(user);
+        return;
+    }
+    const roomChanged = room !== profile.room;
+    profile = { user, room };
+    localStorage.setItem('tc.user', user);
+    localStorage.setItem('tc.room', room);
+    els.roomName.value = room;
+    members = [];
+    clearTyping();
+    renderRoomInfo();
+    renderAlertToggles();
+    renderE2e();
+    if (roomChanged) await loadRoom();
+
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        try {
+            await sendFrame(socket, { type: 'join', room, user, client: clientId });   // server leaves the old room for us
+            inRoom = true;
+            appendSystem(`You joined #${room} as ${user}.`);
+            await flushOutbox(socket);
+        } catch (err) {
+            showError('Failed to join: ' + err.message);
+        }
+    }
+}
+
 els.form.addEventListener('submit', async (e) => {
     e.preventDefault();
     hideError();
@@ -182,20 +2081,177 @@ els.form.addEventListener('submit', async (e) => {
     const text = (els.input.value || '').trim();
     if (!text) return;
 
-    appendMessage({ author: 'You', text, isYou: true });
+    stopTyping();
+    primeAudio();
+    if (editingId) {
+        await commitEdit(text);
+        return;
+    }
+    if (text.startsWith('/') && !text.startsWith('//')) {
+        await runCommand(text);
+        return;
+    }
     els.input.value = '';
+    await sendMessage(text.startsWith('//') ? text.slice(1) : text);
+});
+
+els.joinForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const user = cleanUser(els.userName.value);
+    if (!user) {
+        els.userName.focus();
+        return;
+    }
+    await joinRoom(user, els.roomName.value);
+});
+
+els.input.addEventListener('keydown', (e) => {
+    const matches = els.hints.classList.contains('hidden') ? [] : commandMatches();
+    if (matches.length && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+        e.preventDefault();
+        hintIndex = (hintIndex + (e.key === 'ArrowDown' ? 1 : matches.length - 1)) % matches.length;
+        renderHints();
+    } else if (matches.length && (e.key === 'Tab' || (e.key === 'Enter' && els.input.value !== `/${matches[hintIndex].name}`))) {
+        e.preventDefault();
+        completeCommand(matches[hintIndex].name);
+    } else if (e.key === 'Escape') {
+        if (!els.hints.classList.contains('hidden')) hideHints();
+        else cancelEdit();
+    } else if (e.key === 'ArrowUp' && !els.input.value && !editingId) {
+        const last = lastEditable();
+        if (last) {
+            e.preventDefault();
+            startEdit(last.id);
+        }
+    }
+});
+
+els.input.addEventListener('input', renderHints);
+
+els.hints.addEventListener('mousedown', (e) => {
+    const li = e.target.closest('li[data-name]');
+    if (!li) return;
+    e.preventDefault();   // keep focus in the input
+    completeCommand(li.dataset.name);
+});
+
+els.feed.addEventListener('click', (e) => {
+    const btn = e.target.closest('.msg-tool');
+    if (!btn) return;
+    const id = btn.closest('.wrap').dataset.id;
+    if (btn.dataset.action === 'edit') startEdit(id);
+    else deleteMessage(id);
+});
+
+// ---- Start: try connecting immediately ----
+els.userName.value = profile.user;
+els.roomName.value = profile.room;
+renderRoomInfo();
 
+document.addEventListener('visibilitychange', () => {
+    sendReadReceipts();
+    clearAlerts();
+});
+window.addEventListener('focus', clearAlerts);
+renderAlertToggles();
+renderUnread();
+renderE2e();
+
+els.notifyBtn.addEventListener('click', toggleNotifications);
+
+els.soundBtn.addEventListener('click', () => {
+    alerts.sound = !alerts.sound;
+    saveAlerts();
+    renderAlertToggles();
+    primeAudio();
+    playChime();   // a sample, so people know what they turned on
+});
+
+els.muteBtn.addEventListener('click', () => {
+    alerts.muted = isMuted()
+        ? alerts.muted.filter(room => room !== profile.room)
+        : [...alerts.muted, profile.room];
+    saveAlerts();
+    renderAlertToggles();
+});
+
+els.e2eBtn.addEventListener('click', () => {
+    const open = els.e2eForm.classList.toggle('hidden') === false;
+    if (open) els.e2ePass.focus();
+    else setE2eMsg('');
+});
+
+els.e2eForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    enableE2e(els.e2ePass.value);
+});
+
+els.e2eOffBtn.addEventListener('click', disableE2e);
+
+els.feed.addEventListener('scroll', () => {
+    if (els.feed.scrollTop < EDGE_PX) showOlder();
+    else if (isAtBottom()) showNewer();
+});
+els.newPill.addEventListener('click', scrollToLatest);
+
+els.settingsBtn.addEventListener('click', () => {
+    const open = els.settingsPanel.classList.toggle('hidden') === false;
+    els.settingsBtn.setAttribute('aria-expanded', String(open));
+    if (open) {
+        els.serverUrl.value = wsUrl;
+        els.serverMsg.textContent = '';
+        renderDiagnostics();
+    }
+});
+
+els.serverForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    let url;
     try {
-        const ws = await connectWS();     // ensure connection (async/await)
-        await sendText(ws, text);         // send asynchronously (promise)
+        url = validateServerUrl(els.serverUrl.value);
     } catch (err) {
-        showError('Failed to send: ' + err.message);
-        // Attempt a reconnect in background (optional UX)
-        if (!reconnecting) attemptReconnect();
+        els.serverMsg.textContent = err.message;
+        els.serverUrl.setAttribute('aria-invalid', 'true');
+        els.serverUrl.focus();
+        return;
+    }
+    els.serverUrl.removeAttribute('aria-invalid');
+    els.serverUrl.value = url;
+    localStorage.setItem(SERVER_KEY, url);
+    els.serverMsg.textContent = `Saved. Connecting to ${url}…`;
+    await switchServer(url);
+    els.serverMsg.textContent = socket ? `Connected to ${url}.` : `Saved, but ${url} is not reachable yet — retrying in the background.`;
+});
+
+els.resetServerBtn.addEventListener('click', async () => {
+    localStorage.removeItem(SERVER_KEY);
+    els.serverUrl.value = DEFAULT_WS_URL;
+    els.serverUrl.removeAttribute('aria-invalid');
+    els.serverMsg.textContent = `Back to the local relay (${DEFAULT_WS_URL}).`;
+    await switchServer(DEFAULT_WS_URL);
+});
+
+els.attachBtn.addEventListener('click', () => els.fileInput.click());
+
+els.fileInput.addEventListener('change', () => {
+    hideError();
+    [...els.fileInput.files].forEach(attachFile);
+    els.fileInput.value = '';
+});
+
+els.input.addEventListener('input', noteTyping);
+els.input.addEventListener('blur', stopTyping);
+
+// Coming back online: don't wait out the backoff
+window.addEventListener('online', () => {
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        connectWS().catch(() => scheduleReconnect());
     }
 });
 
-// ---- Start: try connecting immediately ----
 (async () => {
-    try { await connectWS(); } catch (_) { }
+    await loadRoom();
+    try { await connectWS(); } catch (_) { scheduleReconnect(); }
 })();
@@ -0,0 +1,455 @@
+// Tiny Realtime Chat — local relay server
+// Serves this folder over HTTP and relays the chat protocol over WebSockets.
+// No dependencies: the WebSocket handshake and framing (RFC 6455) are done by hand.
+//
+//   node server.js [port]        (default 8080, or $PORT)
+//   then open http://localhost:8080 in several tabs
+//
+// Protocol: every frame is a JSON object with a "type".
+//   client -> server  join { room, user, client } | leave {} | nick { user } | message { id, text, action? } | ping { ts }
+//                     edit { id, text } | delete { id }   (own messages only)
+//                     client: a random id the browser keeps to itself; it owns the messages, not the display name
+//                     message / edit may carry enc { iv, data } instead of text (end-to-end encrypted, relayed as is)
+//                     receipt { id, status: "delivered" | "read" } | typing { typing }
+//                     file { id, name, mime, size, index, count, data }   (one base64 chunk per frame)
+//   server -> client  join / leave { room, user, ts } | presence { room, users }
+//                     message { id, room, user, text | enc, ts } | file { ...chunk, room, user, ts }
+//                     ack { id, ts } (after a message or a file's last chunk) | pong { ts }
+//                     receipt { id, status, user, ts } (to the author only)
+//                     typing { room, user, typing } | nick { room, user, from, ts }
+//                     edit { id, room, user, text | enc, ts } | delete { id, room, user, ts } | error { message, code? }
+//                     (code "name-taken" with the name still in use, or null, when a join / nick is refused)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ---- Config ----
+const PORT = Number(process.env.PORT || process.argv[2] || 8080);
+const ROOT = __dirname;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024;   // bytes per message
+const MAX_TEXT = 2000;             // characters per chat message
+const MAX_CIPHER = Math.ceil((MAX_TEXT * 4 + 16) / 3) * 4;   // base64 of the longest UTF-8 text plus the AES-GCM tag
+const MAX_FILE = 5 * 1024 * 1024;  // bytes per attachment
+const MAX_CHUNKS = 1024;
+const HEARTBEAT_MS = 30000;
+const RECENT_LIMIT = 1000;         // message ids remembered for receipts and resend dedup
+
+const MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+};
+
+// ---- State ----
+const rooms = new Map(); // room id -> Set of connections
+const recent = new Map(); // message id -> { room, owner, ts }, oldest first
+
+// ---- Static files ----
+function serveStatic(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let rel;
+    try {
+        rel = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Bad request');
+        return;
+    }
+    const file = path.resolve(ROOT, rel);
+
+    // stay inside this folder and never hand out the server source or dotfiles
+    if (!file.startsWith(ROOT + path.sep) || path.basename(file).startsWith('.') || file === __filename) {
+        res.writeHead(403).end('Forbidden');
+        return;
+    }
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+// ---- WebSocket framing ----
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const len = payload.length;
+    let header;
+    if (len < 126) {
+        header = Buffer.alloc(2);
+        header[1] = len;
+    } else if (len < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(len, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(len), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode; server frames are never masked
+    return Buffer.concat([header, payload]);
+}
+
+// Wraps a raw socket; calls onText(string) for each complete text message and onClose() once.
+function createConnection(socket, { onText, onClose }) {
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentOpcode = 0;
+    let closed = false;
+
+    const conn = {
+        room: null,
+        user: null,
+        client: null,
+        alive: true,
+        send(obj) {
+            if (closed) return;
+            socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(obj))));
+        },
+        ping() {
+            socket.write(encodeFrame(0x9));
+        },
+        close(code = 1000, reason = '') {
+            if (closed) return;
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+            payload.writeUInt16BE(code, 0);
+            payload.write(reason, 2);
+            socket.end(encodeFrame(0x8, payload));
+            finish();
+        },
+        terminate() {
+            socket.destroy();
+            finish();
+        },
+    };
+
+    function finish() {
+        if (closed) return;
+        closed = true;
+        onClose();
+    }
+
+    function handleFrame(fin, opcode, payload) {
+        if (opcode === 0x8) { // close: echo the status code back
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1000;
+            conn.close(code === 1005 ? 1000 : code);
+            return;
+        }
+        if (opcode === 0x9) { socket.write(encodeFrame(0xA, payload)); return; }
+        if (opcode === 0xA) { conn.alive = true; return; }
+
+        if (opcode !== 0x0) {
+            fragmentOpcode = opcode;
+            fragments = [];
+        }
+        fragments.push(payload);
+        if (fragments.reduce((n, b) => n + b.length, 0) > MAX_PAYLOAD) {
+            conn.close(1009, 'Message too big');
+            return;
+        }
+        if (!fin) return;
+
+        const data = Buffer.concat(fragments);
+        fragments = [];
+        if (fragmentOpcode === 0x1) onText(data.toString('utf8'));
+        else conn.send({ type: 'error', message: 'Binary frames are not supported.' });
+    }
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2 && !closed) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let len = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (len === 126) {
+                if (buffer.length < 4) return;
+                len = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (len === 127) {
+                if (buffer.length < 10) return;
+                const big = buffer.readBigUInt64BE(2);
+                len = big > BigInt(MAX_PAYLOAD) ? Infinity : Number(big);
+                offset = 10;
+            }
+            if (len > MAX_PAYLOAD) { conn.close(1009, 'Message too big'); return; }
+            if (!masked) { conn.close(1002, 'Client frames must be masked'); return; }
+            if (buffer.length < offset + 4 + len) return;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            buffer = buffer.subarray(offset + 4 + len);
+            handleFrame(fin, opcode, payload);
+        }
+    });
+
+    socket.on('close', finish);
+    socket.on('error', () => socket.destroy());
+
+    return conn;
+}
+
+// ---- Rooms ----
+function cleanRoom(value) {
+    const room = String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+    return room.slice(0, 32) || 'lobby';
+}
+
+function cleanClient(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= 64 ? value : crypto.randomUUID();
+}
+
+function cleanUser(value) {
+    const user = String(value || '').trim().replace(/\s+/g, ' ');
+    return user.slice(0, 32) || `guest-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function broadcast(room, obj, except = null) {
+    const members = rooms.get(room);
+    if (!members) return;
+    members.forEach(conn => { if (conn !== except) conn.send(obj); });
+}
+
+function sendPresence(room) {
+    const members = rooms.get(room);
+    if (!members) return;
+    const users = [...members].map(conn => conn.user).sort((a, b) => a.localeCompare(b));
+    broadcast(room, { type: 'presence', room, users });
+}
+
+function leave(conn) {
+    const room = conn.room;
+    if (!room) return;
+    const members = rooms.get(room);
+    members.delete(conn);
+    conn.room = null;
+    if (!members.size) rooms.delete(room);
+    broadcast(room, { type: 'leave', room, user: conn.user, ts: Date.now() });
+    sendPresence(room);
+}
+
+// Another browser already uses this name here (several tabs of one browser may share it)
+function nameTaken(room, user, conn) {
+    const members = rooms.get(room);
+    return Boolean(members) && [...members].some(peer => peer !== conn && peer.user === user && peer.client !== conn.client);
+}
+
+function refuseName(conn, room, user) {
+    conn.send({ type: 'error', code: 'name-taken', user: conn.room ? conn.user : null, message: `"${user}" is already taken in #${room}. Pick another name.` });
+}
+
+function join(conn, room, user) {
+    if (nameTaken(room, user, conn)) {
+        refuseName(conn, room, user);
+        return;
+    }
+    if (conn.room) leave(conn);
+    conn.user = user;
+    conn.room = room;
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(conn);
+    broadcast(room, { type: 'join', room, user, ts: Date.now() });
+    sendPresence(room);
+}
+
+function remember(id, entry) {
+    recent.set(id, entry);
+    if (recent.size > RECENT_LIMIT) recent.delete(recent.keys().next().value);
+}
+
+// Plain text, or an encrypted { iv, data } the relay can't read and passes through untouched
+function readBody(msg) {
+    if (msg.enc !== undefined) {
+        const { iv, data } = msg.enc || {};
+        const valid = typeof iv === 'string' && iv.length > 0 && iv.length <= 24
+            && typeof data === 'string' && data.length > 0 && data.length <= MAX_CIPHER;
+        return valid ? { enc: { iv, data } } : null;
+    }
+    const text = typeof msg.text === 'string' ? msg.text.trim() : '';
+    return text && text.length <= MAX_TEXT ? { text } : null;
+}
+
+function handleText(conn, raw) {
+    let msg;
+    try {
+        msg = JSON.parse(raw);
+    } catch {
+        conn.send({ type: 'error', message: 'Frames must be JSON.' });
+        return;
+    }
+
+    switch (msg?.type) {
+        case 'join':
+            conn.client = cleanClient(msg.client);
+            join(conn, cleanRoom(msg.room), cleanUser(msg.user));
+            break;
+        case 'leave':
+            leave(conn);
+            break;
+        case 'nick': {
+            const from = conn.user;
+            const user = cleanUser(msg.user);
+            if (conn.room && nameTaken(conn.room, user, conn)) {
+                refuseName(conn, conn.room, user);
+                break;
+            }
+            conn.user = user;
+            if (!conn.room || user === from) break;
+            broadcast(conn.room, { type: 'nick', room: conn.room, user, from, ts: Date.now() }, conn);
+            sendPresence(conn.room);
+            break;
+        }
+        case 'ping':
+            conn.send({ type: 'pong', ts: msg.ts });
+            break;
+        case 'typing':
+            if (conn.room) broadcast(conn.room, { type: 'typing', room: conn.room, user: conn.user, typing: Boolean(msg.typing) }, conn);
+            break;
+        case 'message': {
+            if (!conn.room) {
+                conn.send({ type: 'error', message: 'Join a room before sending messages.' });
+                break;
+            }
+            const body = readBody(msg);
+            if (!body) {
+                conn.send({ type: 'error', message: `Messages must be 1–${MAX_TEXT} characters.` });
+                break;
+            }
+            const id = typeof msg.id === 'string' && msg.id.length <= 64 ? msg.id : crypto.randomUUID();
+            const seen = recent.get(id);
+            if (seen && seen.owner === conn.client) { // resent after a dropped connection: ack again, don't relay twice
+                conn.send({ type: 'ack', id, ts: seen.ts });
+                break;
+            }
+            if (seen) {
+                conn.send({ type: 'error', message: 'That message id is already in use.' });
+                break;
+            }
+            const ts = Date.now();
+            remember(id, { room: conn.room, owner: conn.client, ts });
+            conn.send({ type: 'ack', id, ts });
+            const message = { type: 'message', id, room: conn.room, user: conn.user, ...body, ts };
+            if (msg.action === true) message.action = true;
+            broadcast(conn.room, message, conn);
+            break;
+        }
+        case 'edit':
+        case 'delete': {
+            const origin = recent.get(msg.id);
+            if (!origin || origin.owner !== conn.client || origin.room !== conn.room) {
+                conn.send({ type: 'error', message: 'You can only change your own recent messages.' });
+                break;
+            }
+            if (msg.type === 'delete') {
+                broadcast(conn.room, { type: 'delete', id: msg.id, room: conn.room, user: conn.user, ts: Date.now() }, conn);
+                break;
+            }
+            const body = readBody(msg);
+            if (!body) {
+                conn.send({ type: 'error', message: `Messages must be 1–${MAX_TEXT} characters.` });
+                break;
+            }
+            broadcast(conn.room, { type: 'edit', id: msg.id, room: conn.room, user: conn.user, ...body, ts: Date.now() }, conn);
+            break;
+        }
+        case 'file': {
+            if (!conn.room) {
+                conn.send({ type: 'error', message: 'Join a room before sending files.' });
+                break;
+            }
+            const { id, name, mime, size, index, count, data } = msg;
+            const valid = typeof id === 'string' && id.length > 0 && id.length <= 64
+                && typeof name === 'string' && name.length > 0 && name.length <= 255
+                && typeof mime === 'string' && mime.length <= 100
+                && Number.isInteger(size) && size > 0 && size <= MAX_FILE
+                && Number.isInteger(count) && count > 0 && count <= MAX_CHUNKS
+                && Number.isInteger(index) && index >= 0 && index < count
+                && typeof data === 'string';
+            if (!valid) {
+                conn.send({ type: 'error', message: `Invalid file chunk (attachments are limited to ${MAX_FILE / 1024 / 1024} MB).` });
+                break;
+            }
+            const seen = recent.get(id);
+            if (seen && seen.owner === conn.client) { // already delivered: just ack the retry
+                if (index === count - 1) conn.send({ type: 'ack', id, ts: seen.ts });
+                break;
+            }
+            if (seen) {
+                conn.send({ type: 'error', message: 'That file id is already in use.' });
+                break;
+            }
+            const ts = Date.now();
+            broadcast(conn.room, { type: 'file', id, room: conn.room, user: conn.user, name, mime, size, index, count, data, ts }, conn);
+            if (index === count - 1) {
+                remember(id, { room: conn.room, owner: conn.client, ts });
+                conn.send({ type: 'ack', id, ts });
+            }
+            break;
+        }
+        case 'receipt': {
+            const origin = recent.get(msg.id);
+            if (!origin || origin.room !== conn.room || origin.owner === conn.client) break;
+            if (msg.status !== 'delivered' && msg.status !== 'read') break;
+            const receipt = { type: 'receipt', id: msg.id, status: msg.status, user: conn.user, ts: Date.now() };
+            rooms.get(origin.room).forEach(peer => { if (peer.client === origin.owner) peer.send(receipt); });
+            break;
+        }
+        default:
+            conn.send({ type: 'error', message: `Unknown message type "${msg?.type}".` });
+    }
+}
+
+// ---- Server ----
+const server = http.createServer(serveStatic);
+const connections = new Set();
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const conn = createConnection(socket, {
+        onText: (raw) => handleText(conn, raw),
+        onClose: () => {
+            connections.delete(conn);
+            leave(conn);
+        },
+    });
+    connections.add(conn);
+});
+
+// Drop peers that stop answering pings (closed laptops, dead Wi-Fi…)
+setInterval(() => {
+    connections.forEach(conn => {
+        if (!conn.alive) { conn.terminate(); return; }
+        conn.alive = false;
+        conn.ping();
+    });
+}, HEARTBEAT_MS).unref();
+
+server.listen(PORT, () => {
+    console.log(`Tiny Chat relay on http://localhost:${PORT} (WebSocket: ws://localhost:${PORT})`);
+});
@@ -1,6 +1,6 @@
 // Simple Notes — app.js
 // Requirements covered:
-// 1) localStorage/sessionStorage persistence (each note stored as a unique item)
+// 1) localStorage/sessionStorage/IndexedDB persistence (each note stored as a unique item)
 // 2) Functions for add, edit, delete (with parameters & returns)
 // 3) DOM manipulation to render/update the notes list
 
@@ -15,16 +15,103 @@ const els = {
     search: document.getElementById('search'),
     clearAllBtn: document.getElementById('clearAllBtn'),
     newDemoBtn: document.getElementById('newDemoBtn'),
+    filters: document.getElementById('filters'),
+    moveTarget: document.getElementById('moveTarget'),
+    moveBtn: document.getElementById('moveBtn'),
+    trashDays: document.getElementById('trashDays'),
+    emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+    toast: document.getElementById('toast'),
+    toastMsg: document.getElementById('toastMsg'),
+    toastUndo: document.getElementById('toastUndo'),
+    results: document.getElementById('results'),
+    resultsInfo: document.getElementById('resultsInfo'),
 };
 
 // ---------- Storage config ----------
 const STORAGE_PREFIX = 'sn:note:';            // each note saved as sn:note:<id>
 const STORE_PREF_KEY = 'sn:storeType';        // remembers user's choice
-let storeType = localStorage.getItem(STORE_PREF_KEY) || 'local'; // 'local' | 'session'
+let storeType = localStorage.getItem(STORE_PREF_KEY) || 'local'; // 'local' | 'session' | 'idb'
+const DB_NAME = 'simple-notes';               // IndexedDB: one "notes" store keyed by note id
+const DB_STORE = 'notes';
+const FILTER_PREF_KEY = 'sn:filter';          // 'all' | 'pinned' | 'archived' | 'trash' | 'tag:<name>'
+const NOTE_VERSION = 2;                       // v2 added tags, pinned, archived
+let activeFilter = localStorage.getItem(FILTER_PREF_KEY) || 'all';
+const TRASH_DAYS_KEY = 'sn:trashDays';        // deleted notes are purged after this many days
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_LIMIT = 20;                     // earlier versions kept per note
+const DIFF_MAX_CELLS = 250000;                // bigger changes skip the line matching (it's rows × rows)
+const TOAST_MS = 6000;
+
+// ---------- Storage backends ----------
+// Every backend has the same async interface: get(id), put(note), remove(id), all()
+
+function webStorageBackend(storage) {
+    function keys() {
+        const out = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(STORAGE_PREFIX)) out.push(key);
+        }
+        return out;
+    }
+    function read(key) {
+        try { return JSON.parse(storage.getItem(key)); } catch { return null; }
+    }
+    return {
+        async get(id) { return read(STORAGE_PREFIX + id); },
+        async put(note) { storage.setItem(STORAGE_PREFIX + note.id, JSON.stringify(note)); },
+        async remove(id) { storage.removeItem(STORAGE_PREFIX + id); },
+        async all() { return keys().map(read).filter(Boolean); },
+    };
+}
+
+function idbBackend() {
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) throw new Error('IndexedDB is not available in this browser.');
+                const req = indexedDB.open(DB_NAME, 1);
+                req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE, { keyPath: 'id' });
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+            dbPromise.catch(() => { dbPromise = null; });   // allow another try later
+        }
+        return dbPromise;
+    }
+
+    // Runs one request in its own transaction; resolves with its result once the transaction commits
+    async function run(mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(DB_STORE, mode);
+            const req = fn(tx.objectStore(DB_STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    return {
+        async get(id) { return (await run('readonly', s => s.get(id))) || null; },
+        put: note => run('readwrite', s => s.put(note)),
+        remove: id => run('readwrite', s => s.delete(id)),
+        all: () => run('readonly', s => s.getAll()),
+    };
+}
+
+const backends = {
+    local: webStorageBackend(window.localStorage),
+    session: webStorageBackend(window.sessionStorage),
+    idb: idbBackend(),
+};
+const STORE_LABELS = { local: 'localStorage', session: 'sessionStorage', idb: 'IndexedDB' };
 
 // API to pick the current storage backend
-function getStore() {
-    return storeType === 'session' ? window.sessionStorage : window.localStorage;
+function getStore(type = storeType) {
+    return backends[type] || backends.local;
 }
 
 // ---------- Utility ----------
@@ -38,55 +125,381 @@ function fmtDate(ts) {
 }
 
 // ---------- Core data functions (Requirement 2) ----------
-// Each note is stored as its own item: key "sn:note:<id>" -> JSON string
+// Each note is stored as its own item: key "sn:note:<id>" -> JSON string (a record keyed by id in IndexedDB)
 
-function saveNote(note) {
-    // returns the saved note (with updated timestamp)
-    note.updatedAt = Date.now();
-    getStore().setItem(STORAGE_PREFIX + note.id, JSON.stringify(note));
+async function saveNote(note, { touch = true } = {}) {
+    // resolves to the saved note (with updated timestamp, unless only its organisation changed)
+    if (touch) note.updatedAt = Date.now();
+    await getStore().put(note);
+    indexNote(note);   // addNote, updateNote and deleteNote all come through here
     return note;
 }
 
-function loadNote(id) {
-    const raw = getStore().getItem(STORAGE_PREFIX + id);
-    if (!raw) return null;
-    try { return JSON.parse(raw); } catch { return null; }
+async function loadNote(id) {
+    return normalizeNote(await getStore().get(id));
 }
 
-function addNote({ title, body }) {
+function addNote({ title, body, tags = [] }) {
     const note = {
         id: genId(),
         title: title || 'Untitled',
         body: body || '',
+        tags: cleanTags(tags),
+        pinned: false,
+        archived: false,
+        version: NOTE_VERSION,
         createdAt: Date.now(),
         updatedAt: Date.now(),
     };
     return saveNote(note);
 }
 
-function updateNote(id, fields) {
-    const note = loadNote(id);
+async function updateNote(id, fields, opts = {}) {
+    const note = await loadNote(id);
     if (!note) throw new Error('Note not found');
+    if (opts.touch !== false) recordRevision(note, fields);
     Object.assign(note, fields);
-    return saveNote(note);
+    return saveNote(note, opts);
 }
 
+// Deleting moves the note to the trash (pin and all, for undo); purgeNote() is the permanent one
 function deleteNote(id) {
-    getStore().removeItem(STORAGE_PREFIX + id);
+    return updateNote(id, { deletedAt: Date.now() }, { touch: false });
+}
+
+function restoreNote(id) {
+    return updateNote(id, { deletedAt: null }, { touch: false });
+}
+
+async function purgeNote(id) {
+    await getStore().remove(id);
+    unindexNote(id);
+}
+
+async function listNotes() {
+    const notes = (await getStore().all()).map(normalizeNote).filter(Boolean);
+    // pinned first (a pin doesn't count in the trash), then recent first
+    const pinned = n => Number(n.pinned && !n.deletedAt);
+    return notes.sort((a, b) => (pinned(b) - pinned(a)) || (b.updatedAt - a.updatedAt));
+}
+
+// ---------- Tags, pinning & archive ----------
+// Tags are stored lower-case with dashes for spaces: "Work Stuff" -> "work-stuff"
+function cleanTag(value) {
+    return String(value || '').trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-').slice(0, 24);
 }
 
-function listNotes() {
-    const s = getStore();
-    const notes = [];
-    for (let i = 0; i < s.length; i++) {
-        const key = s.key(i);
-        if (key && key.startsWith(STORAGE_PREFIX)) {
-            const note = loadNote(key.slice(STORAGE_PREFIX.length));
-            if (note) notes.push(note);
+function cleanTags(tags) {
+    return [...new Set(tags.map(cleanTag).filter(Boolean))];
+}
+
+// Fills in fields that older notes don't have
+function normalizeNote(note) {
+    if (!note || typeof note !== 'object') return null;
+    return {
+        ...note,
+        tags: Array.isArray(note.tags) ? cleanTags(note.tags) : [],
+        pinned: note.pinned === true,
+        archived: note.archived === true,
+        deletedAt: typeof note.deletedAt === 'number' ? note.deletedAt : null,
+        history: Array.isArray(note.history) ? note.history : [],
+        version: NOTE_VERSION,
+    };
+}
+
+// One-off upgrade of notes saved before v2; keeps their timestamps. Resolves to how many changed.
+async function migrateNotes(store = getStore()) {
+    const stale = (await store.all()).filter(n => typeof n === 'object' && !(n.version >= NOTE_VERSION));
+    for (const note of stale) await store.put(normalizeNote(note));
+    return stale.length;
+}
+
+// Copies every note from one backend to another, then removes the originals. If a note with
+// the same id is already there, the more recently updated copy wins, so a re-run is harmless.
+async function moveNotes(from, to) {
+    const source = getStore(from);
+    const target = getStore(to);
+    const notes = (await source.all()).map(normalizeNote).filter(Boolean);
+    let moved = 0;
+    let kept = 0;
+    for (const note of notes) {
+        const existing = normalizeNote(await target.get(note.id));
+        if (existing && existing.updatedAt > note.updatedAt) {
+            kept++;
+        } else {
+            await target.put(note);
+            moved++;
+        }
+    }
+    // only remove the originals once every one of them is readable from the target
+    for (const note of notes) {
+        if (!(await target.get(note.id))) {
+            throw new Error(`"${note.title}" did not reach ${STORE_LABELS[to]}; nothing was removed.`);
         }
     }
-    // recent first
-    return notes.sort((a, b) => b.updatedAt - a.updatedAt);
+    for (const note of notes) await source.remove(note.id);
+    return { moved, kept };
+}
+
+// ---------- Version history & trash ----------
+// Keeps what the note looked like before a title/body change (newest first)
+function recordRevision(note, fields) {
+    const changed = ['title', 'body'].some(k => k in fields && fields[k] !== note[k]);
+    if (!changed) return;
+    const revision = { title: note.title, body: note.body, savedAt: note.updatedAt };
+    note.history = [revision, ...note.history].slice(0, HISTORY_LIMIT);
+}
+
+// Restoring is itself a save, so the version it replaces goes into the history too
+async function restoreRevision(id, index) {
+    const note = await loadNote(id);
+    const revision = note && note.history[index];
+    if (!revision) throw new Error('That version is no longer available');
+    return updateNote(id, { title: revision.title, body: revision.body });
+}
+
+// Line diff (longest common subsequence) -> [{ type: 'same' | 'add' | 'del', text }]
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    // the unchanged head and tail don't need the table
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+    const x = a.slice(head, a.length - tail);
+    const y = b.slice(head, b.length - tail);
+    const around = (middle) => [
+        ...a.slice(0, head).map(text => ({ type: 'same', text })),
+        ...middle,
+        ...a.slice(a.length - tail).map(text => ({ type: 'same', text })),
+    ];
+    if (x.length * y.length > DIFF_MAX_CELLS) {
+        // too large to match line by line without freezing the tab: old block out, new block in
+        return around([...x.map(text => ({ type: 'del', text })), ...y.map(text => ({ type: 'add', text }))]);
+    }
+
+    const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+    for (let i = x.length - 1; i >= 0; i--) {
+        for (let j = y.length - 1; j >= 0; j--) {
+            lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < x.length || j < y.length) {
+        if (i < x.length && j < y.length && x[i] === y[j]) {
+            middle.push({ type: 'same', text: x[i++] });
+            j++;
+        } else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            middle.push({ type: 'del', text: x[i++] });
+        } else {
+            middle.push({ type: 'add', text: y[j++] });
+        }
+    }
+    return around(middle);
+}
+
+function trashDays() {
+    const days = Number(localStorage.getItem(TRASH_DAYS_KEY));
+    return Number.isInteger(days) && days > 0 ? days : 30;
+}
+
+// Permanently removes notes that have sat in the trash too long. Resolves to how many went.
+async function purgeTrash(days = trashDays()) {
+    const cutoff = Date.now() - days * DAY_MS;
+    const expired = (await listNotes()).filter(n => n.deletedAt && n.deletedAt < cutoff);
+    for (const note of expired) await purgeNote(note.id);
+    return expired.length;
+}
+
+function setTags(id, tags) {
+    return updateNote(id, { tags: cleanTags(tags) }, { touch: false });
+}
+
+function setPinned(id, pinned) {
+    return updateNote(id, { pinned }, { touch: false });
+}
+
+function setArchived(id, archived) {
+    // archiving also unpins, so the archive doesn't float anything to the top
+    return updateNote(id, archived ? { archived, pinned: false } : { archived }, { touch: false });
+}
+
+// ---------- Markdown (safe subset + task lists) ----------
+// Built with createElement/textContent only, so HTML typed into a note shows up as text.
+const MD_LIST_RE = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const MD_TASK_RE = /^\[([ xX])\]\s+(.*)$/;
+const MD_INLINE_RE = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|(?<!\w)__(.+?)__(?!\w)|\*(?!\s)(.+?)\*|(?<!\w)_(?!\s)(.+?)_(?!\w)/;
+const TASK_LINE_RE = /^(\s*(?:>\s?)*[-*+]\s+\[)[ xX](\])/;   // "- [ ]" in the raw body, quoted or not
+
+function safeUrl(href) {
+    try {
+        const url = new URL(href, location.href);
+        return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+function appendInline(parent, src) {
+    let rest = src;
+    while (rest) {
+        const m = rest.match(MD_INLINE_RE);
+        if (!m) {
+            parent.append(rest);
+            break;
+        }
+        parent.append(rest.slice(0, m.index));
+        const [whole, code, linkText, href, strong1, strong2, em1, em2] = m;
+        if (code) {
+            const el = document.createElement('code');
+            el.textContent = code;
+            parent.append(el);
+        } else if (linkText) {
+            const url = safeUrl(href);
+            if (url) {
+                const a = document.createElement('a');
+                a.href = url;
+                a.target = '_blank';
+                a.rel = 'noopener noreferrer nofollow';
+                appendInline(a, linkText);
+                parent.append(a);
+            } else {
+                appendInline(parent, linkText);
+            }
+        } else {
+            const el = document.createElement(strong1 || strong2 ? 'strong' : 'em');
+            appendInline(el, strong1 || strong2 || em1 || em2);
+            parent.append(el);
+        }
+        rest = rest.slice(m.index + whole.length);
+    }
+}
+
+function isBlockStart(line) {
+    return /^\s*(```|~~~)/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) || MD_LIST_RE.test(line);
+}
+
+// Subset: headings, paragraphs, lists with "- [ ]" tasks, blockquotes, fenced code, rules, inline
+// code/links/emphasis. Task checkboxes carry the body line they came from (offset is for quotes).
+function renderMarkdown(src, { interactive = true, offset = 0 } = {}) {
+    const frag = document.createDocumentFragment();
+    const lines = String(src).replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) { i++; continue; }
+
+        const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)\s*$/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+            i++;
+            const pre = document.createElement('pre');
+            const codeEl = document.createElement('code');
+            codeEl.textContent = code.join('\n');
+            pre.append(codeEl);
+            frag.append(pre);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const h = document.createElement(`h${heading[1].length}`);
+            appendInline(h, heading[2]);
+            frag.append(h);
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            frag.append(document.createElement('hr'));
+            i++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const start = i;
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*> ?/, ''));
+            const bq = document.createElement('blockquote');
+            bq.append(renderMarkdown(quoted.join('\n'), { interactive, offset: offset + start }));
+            frag.append(bq);
+            continue;
+        }
+
+        const item = line.match(MD_LIST_RE);
+        if (item) {
+            const ordered = /\d/.test(item[1]);
+            const list = document.createElement(ordered ? 'ol' : 'ul');
+            if (ordered && parseInt(item[1], 10) !== 1) list.start = parseInt(item[1], 10);
+            let m;
+            while (i < lines.length && (m = lines[i].match(MD_LIST_RE)) && /\d/.test(m[1]) === ordered) {
+                const li = document.createElement('li');
+                const task = !ordered && m[2].match(MD_TASK_RE);
+                if (task) {
+                    const box = document.createElement('input');
+                    box.type = 'checkbox';
+                    box.className = 'task-box';
+                    box.checked = task[1] !== ' ';
+                    box.disabled = !interactive;
+                    box.dataset.line = String(offset + i);
+                    const label = document.createElement('label');
+                    const text = document.createElement('span');
+                    appendInline(text, task[2]);
+                    label.append(box, text);
+                    li.className = 'task' + (box.checked ? ' done' : '');
+                    li.append(label);
+                } else {
+                    appendInline(li, m[2]);
+                }
+                list.append(li);
+                i++;
+            }
+            frag.append(list);
+            continue;
+        }
+
+        const p = document.createElement('p');
+        let first = true;
+        while (i < lines.length && lines[i].trim() && (first || !isBlockStart(lines[i]))) {
+            if (!first) p.append(document.createElement('br'));
+            appendInline(p, lines[i++].trim());
+            first = false;
+        }
+        frag.append(p);
+    }
+    return frag;
+}
+
+// "3 of 5 done" bar for notes with a checklist; hidden otherwise
+function renderProgress(el, container) {
+    const boxes = [...container.querySelectorAll('input.task-box')];
+    const done = boxes.filter(b => b.checked).length;
+    el.hidden = !boxes.length;
+    if (!boxes.length) return;
+
+    const bar = document.createElement('progress');
+    bar.max = boxes.length;
+    bar.value = done;
+    const label = document.createElement('span');
+    label.textContent = `${done} of ${boxes.length} done`;
+    el.replaceChildren(bar, label);
+}
+
+// Ticks or unticks the checklist item on one line of the stored body. Not a content edit:
+// no new revision, and the note keeps its place in the list.
+async function toggleTask(id, line, done) {
+    const note = await loadNote(id);
+    if (!note) throw new Error('Note not found');
+    const lines = note.body.split('\n');
+    if (!TASK_LINE_RE.test(lines[line] || '')) throw new Error('That checklist item has changed — try again.');
+    lines[line] = lines[line].replace(TASK_LINE_RE, `$1${done ? 'x' : ' '}$2`);
+    return updateNote(id, { body: lines.join('\n') }, { touch: false });
 }
 
 // ---------- DOM rendering (Requirement 3) ----------
@@ -96,6 +509,9 @@ function createNoteCard(note) {
     const card = document.createElement('article');
     card.className = 'card';
     card.dataset.id = note.id;
+    card.classList.toggle('pinned', note.pinned && !note.deletedAt);
+    card.classList.toggle('archived', note.archived);
+    card.classList.toggle('trashed', Boolean(note.deletedAt));
 
     // header
     const head = document.createElement('div');
@@ -107,15 +523,86 @@ function createNoteCard(note) {
 
     const meta = document.createElement('div');
     meta.className = 'card-meta';
-    meta.textContent = `Updated ${fmtDate(note.updatedAt)}`;
+    meta.textContent = note.deletedAt ? `Deleted ${fmtDate(note.deletedAt)}` : `Updated ${fmtDate(note.updatedAt)}`;
+
+    const pinBtn = document.createElement('button');
+    pinBtn.type = 'button';
+    pinBtn.className = 'pin-btn';
+    pinBtn.textContent = '📌';
+    pinBtn.title = note.pinned ? 'Unpin' : 'Pin to top';
+    pinBtn.setAttribute('aria-label', pinBtn.title);
+    pinBtn.setAttribute('aria-pressed', String(note.pinned));
+    pinBtn.hidden = note.archived || Boolean(note.deletedAt);
 
     head.appendChild(titleEl);
     head.appendChild(meta);
+    head.appendChild(pinBtn);
+
+    // body: Markdown, rendered safely; the raw text is edited in a textarea
+    const bodyEl = document.createElement('div');
+    bodyEl.className = 'card-body md';
+    bodyEl.appendChild(renderMarkdown(note.body, { interactive: !note.deletedAt }));
+
+    const editor = document.createElement('textarea');
+    editor.className = 'card-editor';
+    editor.rows = 8;
+    editor.hidden = true;
+    editor.setAttribute('aria-label', 'Note body (Markdown)');
+
+    // Write / Preview switch, shown while editing
+    const modeEl = document.createElement('div');
+    modeEl.className = 'card-mode';
+    modeEl.hidden = true;
+
+    const writeBtn = document.createElement('button');
+    writeBtn.type = 'button';
+    writeBtn.textContent = 'Write';
+
+    const previewBtn = document.createElement('button');
+    previewBtn.type = 'button';
+    previewBtn.textContent = 'Preview';
 
-    // body
-    const bodyEl = document.createElement('p');
-    bodyEl.className = 'card-body';
-    bodyEl.textContent = note.body;
+    modeEl.appendChild(writeBtn);
+    modeEl.appendChild(previewBtn);
+
+    const progressEl = document.createElement('div');
+    progressEl.className = 'checklist-progress';
+    renderProgress(progressEl, bodyEl);
+
+    // tags: chips (click to filter, × to remove) + an input that adds on Enter or comma
+    const tagsEl = document.createElement('div');
+    tagsEl.className = 'card-tags';
+    note.tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag';
+
+        const label = document.createElement('button');
+        label.type = 'button';
+        label.className = 'tag-label';
+        label.textContent = '#' + tag;
+        label.title = `Show notes tagged #${tag}`;
+        label.addEventListener('click', () => setFilter('tag:' + tag));
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'tag-remove';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Remove tag ${tag}`);
+        remove.addEventListener('click', () => changeTags(note.tags.filter(t => t !== tag)));
+
+        chip.appendChild(label);
+        chip.appendChild(remove);
+        tagsEl.appendChild(chip);
+    });
+
+    const tagInput = document.createElement('input');
+    tagInput.type = 'text';
+    tagInput.className = 'tag-input';
+    tagInput.placeholder = 'Add tag…';
+    tagInput.maxLength = 24;
+    tagInput.setAttribute('aria-label', 'Add a tag');
+    tagInput.hidden = Boolean(note.deletedAt);
+    tagsEl.appendChild(tagInput);
 
     // actions
     const actions = document.createElement('div');
@@ -135,29 +622,76 @@ function createNoteCard(note) {
     cancelBtn.textContent = 'Cancel';
     cancelBtn.style.display = 'none';
 
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = 'btn ghost small';
+    archiveBtn.textContent = note.archived ? 'Unarchive' : 'Archive';
+
+    const historyBtn = document.createElement('button');
+    historyBtn.className = 'btn ghost small';
+    historyBtn.textContent = `History (${note.history.length})`;
+    historyBtn.disabled = !note.history.length;
+    historyBtn.setAttribute('aria-expanded', 'false');
+
     const delBtn = document.createElement('button');
     delBtn.className = 'btn danger small';
     delBtn.textContent = 'Delete';
 
-    actions.appendChild(editBtn);
-    actions.appendChild(saveBtn);
-    actions.appendChild(cancelBtn);
-    actions.appendChild(delBtn);
+    // in the trash a note can only come back or go for good
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn small';
+    restoreBtn.textContent = 'Restore';
+
+    const purgeBtn = document.createElement('button');
+    purgeBtn.className = 'btn danger small';
+    purgeBtn.textContent = 'Delete forever';
+
+    if (note.deletedAt) {
+        actions.appendChild(restoreBtn);
+        actions.appendChild(purgeBtn);
+    } else {
+        actions.appendChild(editBtn);
+        actions.appendChild(saveBtn);
+        actions.appendChild(cancelBtn);
+        actions.appendChild(historyBtn);
+        actions.appendChild(archiveBtn);
+        actions.appendChild(delBtn);
+    }
+
+    // version history (filled in when opened)
+    const historyEl = document.createElement('section');
+    historyEl.className = 'history';
+    historyEl.hidden = true;
+    historyEl.setAttribute('aria-label', 'Version history');
 
     // assemble
     card.appendChild(head);
+    card.appendChild(modeEl);
     card.appendChild(bodyEl);
+    card.appendChild(editor);
+    card.appendChild(progressEl);
+    card.appendChild(tagsEl);
     card.appendChild(actions);
+    card.appendChild(historyEl);
 
     // ----- edit mode helpers -----
     let original = null;
 
+    function setMode(preview) {
+        editor.hidden = preview;
+        bodyEl.hidden = !preview;
+        if (preview) bodyEl.replaceChildren(renderMarkdown(editor.value, { interactive: false }));
+        writeBtn.setAttribute('aria-pressed', String(!preview));
+        previewBtn.setAttribute('aria-pressed', String(preview));
+    }
+
     function enterEdit() {
-        original = { title: titleEl.textContent, body: bodyEl.textContent };
+        original = { title: titleEl.textContent };
+        editor.value = note.body;
         titleEl.contentEditable = 'true';
-        bodyEl.contentEditable = 'true';
         titleEl.classList.add('editable');
-        bodyEl.classList.add('editable');
+        modeEl.hidden = false;
+        progressEl.hidden = true;
+        setMode(false);
         titleEl.focus();
 
         editBtn.style.display = 'none';
@@ -167,9 +701,12 @@ function createNoteCard(note) {
 
     function exitEdit() {
         titleEl.contentEditable = 'false';
-        bodyEl.contentEditable = 'false';
         titleEl.classList.remove('editable');
-        bodyEl.classList.remove('editable');
+        modeEl.hidden = true;
+        editor.hidden = true;
+        bodyEl.hidden = false;
+        bodyEl.replaceChildren(renderMarkdown(note.body));
+        renderProgress(progressEl, bodyEl);
 
         editBtn.style.display = '';
         saveBtn.style.display = 'none';
@@ -177,41 +714,183 @@ function createNoteCard(note) {
     }
 
     editBtn.addEventListener('click', enterEdit);
+    writeBtn.addEventListener('click', () => {
+        setMode(false);
+        editor.focus();
+    });
+    previewBtn.addEventListener('click', () => setMode(true));
 
     cancelBtn.addEventListener('click', () => {
         // revert UI
         titleEl.textContent = original.title;
-        bodyEl.textContent = original.body;
         exitEdit();
         setStatus('Edit cancelled.');
     });
 
-    saveBtn.addEventListener('click', () => {
+    saveBtn.addEventListener('click', async () => {
         const id = card.dataset.id;
         const newTitle = titleEl.textContent.trim() || 'Untitled';
-        const newBody = bodyEl.textContent.trim();
+        const newBody = editor.value.trim();
 
         try {
-            const updated = updateNote(id, { title: newTitle, body: newBody });
-            meta.textContent = `Updated ${fmtDate(updated.updatedAt)}`;
+            await updateNote(id, { title: newTitle, body: newBody });
             exitEdit();
-            // Move card to top (sorted by updatedAt)
-            card.remove();
-            const first = els.notes.firstElementChild;
-            els.notes.insertBefore(createNoteCard(updated), first);
+            await refresh(); // re-sorts: pinned first, then most recently updated
             setStatus('Note saved.');
         } catch (err) {
             setStatus(err.message);
         }
     });
 
-    delBtn.addEventListener('click', () => {
+    // ticking a checklist item saves straight away
+    bodyEl.addEventListener('change', async (e) => {
+        const box = e.target.closest('input.task-box');
+        if (!box) return;
+        const id = card.dataset.id;
+        const line = box.dataset.line;
+        try {
+            await toggleTask(id, Number(line), box.checked);
+            await refresh();
+            els.notes.querySelector(`.card[data-id="${id}"] input.task-box[data-line="${line}"]`)?.focus();
+        } catch (err) {
+            box.checked = !box.checked;
+            setStatus(err.message);
+        }
+    });
+
+    delBtn.addEventListener('click', async () => {
         const id = card.dataset.id;
-        const ok = confirm('Delete this note?');
+        try {
+            await deleteNote(id);
+            await refresh();
+            showToast('Note moved to the trash.', async () => {
+                await restoreNote(id);
+                await refresh();
+                setStatus('Note restored.');
+            });
+        } catch (err) {
+            setStatus(err.message);
+        }
+    });
+
+    restoreBtn.addEventListener('click', async () => {
+        try {
+            await restoreNote(card.dataset.id);
+            await refresh();
+            setStatus('Note restored.');
+        } catch (err) {
+            setStatus(err.message);
+        }
+    });
+
+    purgeBtn.addEventListener('click', async () => {
+        const ok = confirm('Delete this note permanently? This cannot be undone.');
         if (!ok) return;
-        deleteNote(id);
-        card.remove();
-        setStatus('Note deleted.');
+        try {
+            await purgeNote(card.dataset.id);
+            await refresh();
+            setStatus('Note deleted permanently.');
+        } catch (err) {
+            setStatus(err.message);
+        }
+    });
+
+    // ----- history panel -----
+    function renderHistory(selected) {
+        const list = document.createElement('ol');
+        list.className = 'history-list';
+        note.history.forEach((rev, i) => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'history-item';
+            btn.setAttribute('aria-pressed', String(i === selected));
+            btn.textContent = `${fmtDate(rev.savedAt)} — ${rev.title}`;
+            btn.addEventListener('click', () => renderHistory(i));
+            li.appendChild(btn);
+            list.appendChild(li);
+        });
+
+        const rev = note.history[selected];
+        const caption = document.createElement('p');
+        caption.className = 'subtle';
+        caption.textContent = 'Changes from this version to the current note:';
+
+        const diff = document.createElement('pre');
+        diff.className = 'diff';
+        const lines = diffLines(rev.body, note.body);
+        if (rev.title !== note.title) {
+            lines.unshift({ type: 'del', text: `Title: ${rev.title}` }, { type: 'add', text: `Title: ${note.title}` });
+        }
+        lines.forEach(({ type, text }) => {
+            const line = document.createElement('span');
+            line.className = 'diff-' + type;
+            line.textContent = { same: '  ', add: '+ ', del: '- ' }[type] + text + '\n';
+            diff.appendChild(line);
+        });
+
+        const restoreRevBtn = document.createElement('button');
+        restoreRevBtn.className = 'btn small';
+        restoreRevBtn.textContent = 'Restore this version';
+        restoreRevBtn.addEventListener('click', async () => {
+            try {
+                await restoreRevision(card.dataset.id, selected);
+                await refresh();
+                setStatus(`Restored the version from ${fmtDate(rev.savedAt)}.`);
+            } catch (err) {
+                setStatus(err.message);
+            }
+        });
+
+        historyEl.replaceChildren(list, caption, diff, restoreRevBtn);
+    }
+
+    historyBtn.addEventListener('click', () => {
+        const open = historyEl.hidden;
+        historyEl.hidden = !open;
+        card.classList.toggle('expanded', open);   // a wider card leaves room for the diff
+        historyBtn.setAttribute('aria-expanded', String(open));
+        if (open) renderHistory(0);
+    });
+
+    async function changeTags(tags) {
+        const id = card.dataset.id;
+        try {
+            await setTags(id, tags);
+            await refresh();
+            // keep typing tags without reaching for the mouse
+            els.notes.querySelector(`.card[data-id="${id}"] .tag-input`)?.focus();
+            setStatus('Tags updated.');
+        } catch (err) {
+            setStatus(err.message);
+        }
+    }
+
+    tagInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ',') return;
+        e.preventDefault();
+        const tag = cleanTag(tagInput.value);
+        if (tag) changeTags([...note.tags, tag]);
+    });
+
+    pinBtn.addEventListener('click', async () => {
+        try {
+            await setPinned(card.dataset.id, !note.pinned);
+            await refresh();
+            setStatus(note.pinned ? 'Note unpinned.' : 'Note pinned.');
+        } catch (err) {
+            setStatus(err.message);
+        }
+    });
+
+    archiveBtn.addEventListener('click', async () => {
+        try {
+            await setArchived(card.dataset.id, !note.archived);
+            await refresh();
+            setStatus(note.archived ? 'Note restored from the archive.' : 'Note archived.');
+        } catch (err) {
+            setStatus(err.message);
+        }
     });
 
     return card;
@@ -221,21 +900,405 @@ function renderNotes(notes) {
     clearNotesUI();
     const frag = document.createDocumentFragment();
     notes.forEach(n => frag.appendChild(createNoteCard(n)));
+    if (!notes.length) {
+        const empty = document.createElement('p');
+        empty.className = 'empty subtle';
+        empty.textContent = { archived: 'The archive is empty.', trash: 'The trash is empty.' }[activeFilter] || 'No notes here yet.';
+        frag.appendChild(empty);
+    }
     els.notes.appendChild(frag);
 }
 
+// ---------- Filters (sidebar) ----------
+// Archived notes only show up in the Archived view, deleted ones only in the Trash
+function matchesFilter(note, filter = activeFilter) {
+    if (filter === 'trash') return Boolean(note.deletedAt);
+    if (note.deletedAt) return false;
+    if (filter === 'archived') return note.archived;
+    if (note.archived) return false;
+    if (filter === 'pinned') return note.pinned;
+    if (filter.startsWith('tag:')) return note.tags.includes(filter.slice(4));
+    return true;
+}
+
+function filterButton(filter, label, count) {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'filter';
+    btn.dataset.filter = filter;
+    btn.setAttribute('aria-pressed', String(filter === activeFilter));
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    const num = document.createElement('span');
+    num.className = 'count';
+    num.textContent = String(count);
+
+    btn.appendChild(name);
+    btn.appendChild(num);
+    li.appendChild(btn);
+    return li;
+}
+
+function renderFilters(notes) {
+    const current = notes.filter(n => !n.deletedAt);
+    const live = current.filter(n => !n.archived);
+    const tagCounts = new Map();
+    live.forEach(n => n.tags.forEach(t => tagCounts.set(t, (tagCounts.get(t) || 0) + 1)));
+
+    const views = document.createElement('ul');
+    views.appendChild(filterButton('all', 'All notes', live.length));
+    views.appendChild(filterButton('pinned', '📌 Pinned', live.filter(n => n.pinned).length));
+    views.appendChild(filterButton('archived', '🗄️ Archived', current.length - live.length));
+    views.appendChild(filterButton('trash', '🗑️ Trash', notes.length - current.length));
+
+    const tagsHeading = document.createElement('h3');
+    tagsHeading.textContent = 'Tags';
+    const tags = document.createElement('ul');
+    [...tagCounts.keys()].sort().forEach(t => tags.appendChild(filterButton('tag:' + t, '#' + t, tagCounts.get(t))));
+    if (!tagCounts.size) {
+        const li = document.createElement('li');
+        li.className = 'subtle';
+        li.textContent = 'No tags yet';
+        tags.appendChild(li);
+    }
+
+    els.filters.replaceChildren(views, tagsHeading, tags);
+}
+
+function setFilter(filter) {
+    activeFilter = filter;
+    localStorage.setItem(FILTER_PREF_KEY, filter);
+    return refresh();
+}
+
+// Re-read the current store and redraw the sidebar and the visible notes
+let refreshSeq = 0;
+async function refresh() {
+    const seq = ++refreshSeq;
+    let notes;
+    try {
+        notes = await listNotes();
+    } catch (err) {
+        setStatus(`Could not read notes from ${STORE_LABELS[storeType]}: ${err.message}`);
+        return;
+    }
+    if (seq !== refreshSeq) return;   // a newer refresh is on its way
+
+    // a tag filter whose last note went away falls back to everything
+    if (activeFilter.startsWith('tag:') && !notes.some(n => matchesFilter(n))) {
+        activeFilter = 'all';
+        localStorage.setItem(FILTER_PREF_KEY, activeFilter);
+    }
+    renderFilters(notes);
+    renderNotes(notes.filter(n => matchesFilter(n)));
+    applySearch();
+}
+
+// A freshly added note should be visible, so leave views that would hide it
+function showAdded(note) {
+    return matchesFilter(note) ? refresh() : setFilter('all');
+}
+
+els.filters.addEventListener('click', (e) => {
+    const btn = e.target.closest('.filter');
+    if (btn) setFilter(btn.dataset.filter);
+});
+
+// ---------- Undo toast ----------
+let toastTimer = null;
+let toastUndo = null;
+
+function showToast(msg, undo) {
+    clearTimeout(toastTimer);
+    toastUndo = undo || null;
+    els.toastMsg.textContent = msg;
+    els.toastUndo.hidden = !undo;
+    els.toast.hidden = false;
+    toastTimer = setTimeout(hideToast, TOAST_MS);
+}
+
+function hideToast() {
+    clearTimeout(toastTimer);
+    toastUndo = null;
+    els.toast.hidden = true;
+}
+
+els.toastUndo.addEventListener('click', async () => {
+    const undo = toastUndo;
+    hideToast();
+    if (!undo) return;
+    try {
+        await undo();
+    } catch (err) {
+        setStatus('Undo failed: ' + err.message);
+    }
+});
+
+// ---------- Search index ----------
+// Inverted index over the current store: term -> ids, plus per-note term counts for ranking.
+// Built once per store (useStore) and then kept in step by saveNote/purgeNote.
+const searchIndex = { docs: new Map(), terms: new Map() };
+const SNIPPET_CHARS = 160;
+let resultIndex = 0;          // highlighted row in the results list
+let resultIds = [];
+
+// Lower-case words without accents: "Café au lait" -> ["cafe", "au", "lait"]
+function fold(text) {
+    return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+    return fold(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function countTerms(tokens) {
+    const counts = new Map();
+    tokens.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+    return counts;
+}
+
+function unindexNote(id) {
+    const doc = searchIndex.docs.get(id);
+    if (!doc) return;
+    new Set([...doc.title.keys(), ...doc.body.keys()]).forEach(term => {
+        const ids = searchIndex.terms.get(term);
+        ids.delete(id);
+        if (!ids.size) searchIndex.terms.delete(term);
+    });
+    searchIndex.docs.delete(id);
+}
+
+function indexNote(note) {
+    unindexNote(note.id);
+    const doc = {
+        note: normalizeNote(note),
+        title: countTerms(tokenize(note.title)),
+        body: countTerms(tokenize(note.body)),
+    };
+    searchIndex.docs.set(note.id, doc);
+    new Set([...doc.title.keys(), ...doc.body.keys()]).forEach(term => {
+        if (!searchIndex.terms.has(term)) searchIndex.terms.set(term, new Set());
+        searchIndex.terms.get(term).add(note.id);
+    });
+}
+
+function buildIndex(notes) {
+    searchIndex.docs.clear();
+    searchIndex.terms.clear();
+    notes.forEach(indexNote);
+}
+
+// "2026-03-01" -> local midnight timestamp (null if it isn't a date)
+function parseDay(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const ts = new Date(value + 'T00:00').getTime();
+    return Number.isNaN(ts) ? null : ts;
+}
+
+// Words, plus tag:<name>, after:YYYY-MM-DD and before:YYYY-MM-DD (both inclusive, on last update)
+function parseQuery(q) {
+    const query = { terms: [], tags: [], after: null, before: null };
+    q.split(/\s+/).filter(Boolean).forEach(word => {
+        const m = word.match(/^(tag|after|before):(.+)$/i);
+        if (!m) {
+            query.terms.push(...tokenize(word));
+            return;
+        }
+        const key = m[1].toLowerCase();
+        if (key === 'tag') {
+            const tag = cleanTag(m[2]);
+            if (tag) query.tags.push(tag);
+        } else {
+            const day = parseDay(m[2]);
+            if (day !== null) query[key] = day;
+        }
+    });
+    return query;
+}
+
+// Every word has to match (as a prefix, so results follow the typing). Scored tf-idf style:
+// rarer words count more, title hits count triple, exact words beat prefixes.
+function searchNotes(q, filter = activeFilter) {
+    const query = parseQuery(q);
+    const total = searchIndex.docs.size;
+    let scores = null;
+    for (const term of query.terms) {
+        const hits = new Map();
+        searchIndex.terms.forEach((ids, indexed) => {
+            if (!indexed.startsWith(term)) return;
+            const weight = (indexed === term ? 1 : 0.6) * Math.log(1 + total / ids.size);
+            ids.forEach(id => {
+                const doc = searchIndex.docs.get(id);
+                const tf = 3 * (doc.title.get(indexed) || 0) + (doc.body.get(indexed) || 0);
+                hits.set(id, (hits.get(id) || 0) + weight * (1 + Math.log(tf)));
+            });
+        });
+        scores = scores
+            ? new Map([...scores].filter(([id]) => hits.has(id)).map(([id, score]) => [id, score + hits.get(id)]))
+            : hits;
+        if (!scores.size) break;
+    }
+
+    const ids = scores ? [...scores.keys()] : [...searchIndex.docs.keys()];
+    const results = ids
+        .map(id => ({ note: searchIndex.docs.get(id).note, score: scores ? scores.get(id) : 0 }))
+        .filter(({ note }) => matchesFilter(note, filter)
+            && query.tags.every(t => note.tags.includes(t))
+            && (query.after === null || note.updatedAt >= query.after)
+            && (query.before === null || note.updatedAt < query.before + DAY_MS))
+        .sort((a, b) => (b.score - a.score) || (b.note.updatedAt - a.note.updatedAt));
+    return { results, terms: query.terms };
+}
+
+// Appends text to el with every word that starts with a query term wrapped in <mark>
+function appendHighlighted(el, text, terms) {
+    const re = /[\p{L}\p{N}]+/gu;
+    let last = 0;
+    let m;
+    while ((m = re.exec(text))) {
+        const word = fold(m[0]);
+        if (!terms.some(t => word.startsWith(t))) continue;
+        el.append(text.slice(last, m.index));
+        const mark = document.createElement('mark');
+        mark.textContent = m[0];
+        el.appendChild(mark);
+        last = m.index + m[0].length;
+    }
+    el.append(text.slice(last));
+}
+
+// Body text without Markdown markers, cut around the first match
+function snippet(body, terms) {
+    const text = body
+        .replace(/^\s*(?:>\s?)*(?:#{1,6}\s+|[-*+]\s+\[[ xX]\]\s+|[-*+]\s+|\d+[.)]\s+)/gm, '')
+        .replace(/[*_`~]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    let at = 0;
+    const re = /[\p{L}\p{N}]+/gu;
+    let m;
+    while (terms.length && (m = re.exec(text))) {
+        const word = fold(m[0]);
+        if (terms.some(t => word.startsWith(t))) {
+            at = m.index;
+            break;
+        }
+    }
+    const start = Math.max(0, at - 40);
+    const cut = text.slice(start, start + SNIPPET_CHARS);
+    return (start > 0 ? '…' : '') + cut + (start + SNIPPET_CHARS < text.length ? '…' : '');
+}
+
+function renderResults(results, terms) {
+    resultIds = results.map(r => r.note.id);
+    resultIndex = Math.min(resultIndex, Math.max(0, resultIds.length - 1));
+    els.resultsInfo.textContent = results.length
+        ? `${results.length} note${results.length === 1 ? '' : 's'} match — ↑/↓ to choose, Enter to open, Esc to clear.`
+        : 'No notes match.';
+
+    els.results.replaceChildren(...results.map(({ note }, i) => {
+        const li = document.createElement('li');
+        li.id = 'result-' + note.id;
+        li.className = 'result';
+        li.dataset.id = note.id;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', String(i === resultIndex));
+
+        const title = document.createElement('div');
+        title.className = 'result-title';
+        appendHighlighted(title, note.title, terms);
+
+        const meta = document.createElement('div');
+        meta.className = 'result-meta';
+        meta.textContent = [`Updated ${fmtDate(note.updatedAt)}`, ...note.tags.map(t => '#' + t)].join(' · ');
+
+        const text = document.createElement('p');
+        text.className = 'result-snippet';
+        appendHighlighted(text, snippet(note.body, terms), terms);
+
+        li.appendChild(title);
+        li.appendChild(meta);
+        li.appendChild(text);
+        return li;
+    }));
+    selectResult(resultIndex);
+}
+
+function selectResult(i) {
+    if (!resultIds.length) {
+        els.search.removeAttribute('aria-activedescendant');
+        return;
+    }
+    resultIndex = (i + resultIds.length) % resultIds.length;
+    els.results.querySelectorAll('.result').forEach((li, n) => li.setAttribute('aria-selected', String(n === resultIndex)));
+    const li = els.results.children[resultIndex];
+    els.search.setAttribute('aria-activedescendant', li.id);
+    li.scrollIntoView({ block: 'nearest' });
+}
+
+// Leaves search and brings the note's card into view
+function openResult(id) {
+    els.search.value = '';
+    applySearch();
+    const card = els.notes.querySelector(`.card[data-id="${id}"]`);
+    if (!card) return;
+    card.tabIndex = -1;
+    card.scrollIntoView({ block: 'center' });
+    card.focus();
+    card.classList.add('flash');
+    setTimeout(() => card.classList.remove('flash'), 1200);
+}
+
 // ---------- Search/filter ----------
+function applySearch() {
+    const q = els.search.value.trim();
+    const searching = Boolean(q);
+    els.notes.hidden = searching;
+    els.results.hidden = !searching;
+    els.resultsInfo.hidden = !searching;
+    els.search.setAttribute('aria-expanded', String(searching));
+    if (!searching) {
+        els.search.removeAttribute('aria-activedescendant');
+        els.results.replaceChildren();
+        els.resultsInfo.textContent = '';
+        resultIds = [];
+        return;
+    }
+    const { results, terms } = searchNotes(q);
+    renderResults(results, terms);
+}
+
 els.search.addEventListener('input', () => {
-    const q = els.search.value.trim().toLowerCase();
-    const cards = els.notes.querySelectorAll('.card');
-    cards.forEach(card => {
-        const title = card.querySelector('.card-title')?.textContent.toLowerCase() || '';
-        card.style.display = title.includes(q) ? '' : 'none';
-    });
+    resultIndex = 0;
+    applySearch();
+});
+
+els.search.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && els.search.value) {
+        e.preventDefault();
+        els.search.value = '';
+        applySearch();
+        return;
+    }
+    if (els.results.hidden || !resultIds.length) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        selectResult(resultIndex + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        openResult(resultIds[resultIndex]);
+    }
+});
+
+els.results.addEventListener('click', (e) => {
+    const li = e.target.closest('.result');
+    if (li) openResult(li.dataset.id);
 });
 
 // ---------- Form handling ----------
-els.form.addEventListener('submit', (e) => {
+els.form.addEventListener('submit', async (e) => {
     e.preventDefault();
     const title = els.title.value.trim();
     const body = els.body.value.trim();
@@ -245,9 +1308,12 @@ els.form.addEventListener('submit', (e) => {
         return;
     }
 
-    const note = addNote({ title, body });
-    const first = els.notes.firstElementChild;
-    els.notes.insertBefore(createNoteCard(note), first);
+    try {
+        await showAdded(await addNote({ title, body }));
+    } catch (err) {
+        setStatus('Could not save the note: ' + err.message);
+        return;
+    }
     els.form.reset();
     els.title.focus();
     setStatus('Note added.');
@@ -256,49 +1322,139 @@ els.form.addEventListener('submit', (e) => {
 // ---------- Storage selection ----------
 function applyStoreTypeUI() {
     els.storeSelect.value = storeType;
-    setStatus(`Using ${storeType === 'local' ? 'localStorage' : 'sessionStorage'}.`);
+    // "Move notes" offers the other backends
+    els.moveTarget.replaceChildren(...Object.keys(backends)
+        .filter(type => type !== storeType)
+        .map(type => new Option(STORE_LABELS[type], type)));
+    setStatus(`Using ${STORE_LABELS[storeType]}.`);
 }
 
-els.storeSelect.addEventListener('change', () => {
-    storeType = els.storeSelect.value === 'session' ? 'session' : 'local';
+// Switches backend and renders its notes; falls back to localStorage if it can't be opened.
+// Resolves to the number of old notes upgraded on the way.
+async function useStore(type) {
+    storeType = backends[type] ? type : 'local';
     // remember choice in localStorage (prefs), not in session
     localStorage.setItem(STORE_PREF_KEY, storeType);
-    // reload notes from the selected storage
-    renderNotes(listNotes());
+    let migrated;
+    let purged;
+    try {
+        migrated = await migrateNotes();
+        purged = await purgeTrash();
+    } catch (err) {
+        if (storeType === 'local') throw err;
+        const failed = STORE_LABELS[storeType];
+        await useStore('local');
+        setStatus(`${failed} is unavailable (${err.message}) — using localStorage.`);
+        return 0;
+    }
     applyStoreTypeUI();
+    buildIndex(await listNotes());
+    await refresh();
+    if (purged) setStatus(`Emptied ${purged} note${purged === 1 ? '' : 's'} older than ${trashDays()} days from the trash.`);
+    return migrated;
+}
+
+els.storeSelect.addEventListener('change', () => {
+    useStore(els.storeSelect.value).catch(err => setStatus(err.message));
 });
 
-// ---------- Clear all (current storage only) ----------
-els.clearAllBtn.addEventListener('click', () => {
-    const s = getStore();
-    const ok = confirm(`Delete all notes from ${storeType}Storage?`);
+// ---------- Move notes between backends ----------
+els.moveBtn.addEventListener('click', async () => {
+    const from = storeType;
+    const to = els.moveTarget.value;
+    const ok = confirm(`Move all notes from ${STORE_LABELS[from]} to ${STORE_LABELS[to]}?`);
     if (!ok) return;
 
-    // remove only our keys
-    const toRemove = [];
-    for (let i = 0; i < s.length; i++) {
-        const k = s.key(i);
-        if (k && k.startsWith(STORAGE_PREFIX)) toRemove.push(k);
+    els.moveBtn.disabled = true;
+    try {
+        const { moved, kept } = await moveNotes(from, to);
+        await useStore(to);   // follow the notes
+        const extra = kept ? ` (${kept} newer cop${kept === 1 ? 'y was' : 'ies were'} already there and kept)` : '';
+        setStatus(`Moved ${moved} note${moved === 1 ? '' : 's'} to ${STORE_LABELS[to]}${extra}.`);
+    } catch (err) {
+        setStatus('Move failed: ' + err.message);
+    } finally {
+        els.moveBtn.disabled = false;
+    }
+});
+
+// ---------- Clear all (current storage only; into the trash, with undo) ----------
+els.clearAllBtn.addEventListener('click', async () => {
+    try {
+        const ids = (await listNotes()).filter(n => !n.deletedAt).map(n => n.id);
+        if (!ids.length) {
+            setStatus('Nothing to clear.');
+            return;
+        }
+        for (const id of ids) await deleteNote(id);
+        await refresh();
+        showToast(`${ids.length} note${ids.length === 1 ? '' : 's'} moved to the trash.`, async () => {
+            for (const id of ids) await restoreNote(id);
+            await refresh();
+            setStatus('Notes restored.');
+        });
+    } catch (err) {
+        setStatus(err.message);
+    }
+});
+
+// ---------- Trash settings ----------
+els.trashDays.addEventListener('change', async () => {
+    const days = Math.min(365, Math.max(1, Math.round(Number(els.trashDays.value)) || trashDays()));
+    els.trashDays.value = days;
+    localStorage.setItem(TRASH_DAYS_KEY, String(days));
+    try {
+        const purged = await purgeTrash(days);
+        await refresh();
+        setStatus(`Deleted notes are kept for ${days} day${days === 1 ? '' : 's'}.` + (purged ? ` Emptied ${purged} older one${purged === 1 ? '' : 's'}.` : ''));
+    } catch (err) {
+        setStatus(err.message);
+    }
+});
+
+els.emptyTrashBtn.addEventListener('click', async () => {
+    try {
+        const trashed = (await listNotes()).filter(n => n.deletedAt);
+        if (!trashed.length) {
+            setStatus('The trash is already empty.');
+            return;
+        }
+        const ok = confirm(`Permanently delete ${trashed.length} note${trashed.length === 1 ? '' : 's'} in the trash?`);
+        if (!ok) return;
+        for (const note of trashed) await purgeNote(note.id);
+        await refresh();
+        setStatus('Trash emptied.');
+    } catch (err) {
+        setStatus(err.message);
     }
-    toRemove.forEach(k => s.removeItem(k));
-    renderNotes([]);
-    setStatus('All notes cleared.');
 });
 
 // ---------- Demo note ----------
-els.newDemoBtn.addEventListener('click', () => {
-    const note = addNote({
-        title: 'Demo note',
-        body: 'This note shows add/edit/delete and storage persistence.',
-    });
-    els.notes.insertBefore(createNoteCard(note), els.notes.firstElementChild);
-    setStatus('Demo note added.');
+els.newDemoBtn.addEventListener('click', async () => {
+    try {
+        const note = await addNote({
+            title: 'Demo note',
+            body: 'This note shows add/edit/delete and storage persistence.\n\n'
+                + 'Bodies are **Markdown**:\n- [x] Write a checklist\n- [ ] Tick it off right here on the card',
+            tags: ['demo'],
+        });
+        await showAdded(note);
+        setStatus('Demo note added.');
+    } catch (err) {
+        setStatus(err.message);
+    }
 });
 
 // ---------- Init ----------
-(function init() {
-    // Set stored preference for storage type
-    applyStoreTypeUI();
-    // Render existing notes
-    renderNotes(listNotes());
+(async function init() {
+    els.trashDays.value = trashDays();
+    // Open the preferred storage, bringing notes from older versions up to date, and render
+    try {
+        const migrated = await useStore(storeType);
+        if (migrated) setStatus(`Upgraded ${migrated} older note${migrated === 1 ? '' : 's'} (tags, pinning, archive).`);
+    } catch (err) {
+        const msg = `Couldn't load your notes: ${err.message}`;
+        setStatus(msg);
+        showToast(msg);
+    }
 })();